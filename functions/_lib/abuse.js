@@ -0,0 +1,142 @@
+import { ApiError, ErrorCode, requireEnv } from './http.js';
+import { clientIp } from './rate-limit.js';
+
+// Anti-abuse checks for the public submission endpoints. assertHuman rejects
+// obvious bots outright; detectSpam only scores content, so the route decides
+// what happens to a suspicious submission.
+//
+// Clients send, alongside their own fields:
+// - `turnstileToken`: the Cloudflare Turnstile response from the form
+// - `formStartedAt`: when the form was shown, in milliseconds since the epoch
+// - the honeypot field, hidden from people and left empty
+
+const TURNSTILE_VERIFY_URL = 'https://challenges.cloudflare.com/turnstile/v0/siteverify';
+const TURNSTILE_TIMEOUT = 5000;
+
+export const HONEYPOT_FIELD = 'website';
+const DEFAULT_MIN_SUBMIT_SECONDS = 3;
+// Anything older is more likely a replayed start time than a slow typist
+const MAX_FORM_AGE_SECONDS = 24 * 60 * 60;
+
+const MAX_LINKS = 2;
+const BLOCKLIST = [
+  'viagra',
+  'cialis',
+  'casino',
+  'crypto investment',
+  'forex signals',
+  'seo services',
+  'backlinks',
+  'payday loan',
+];
+
+// Accepts any token except 'fail', without calling Cloudflare. Only for local
+// development and tests; set TURNSTILE_VERIFIER=stub to use it.
+const stubVerifier = {
+  async verify(token) {
+    return token === 'fail'
+      ? { success: false, errorCodes: ['invalid-input-response'] }
+      : { success: true, errorCodes: [] };
+  },
+};
+
+function turnstileVerifier(env) {
+  return {
+    async verify(token, { remoteIp }) {
+      const form = new FormData();
+      form.append('secret', env.TURNSTILE_SECRET_KEY);
+      form.append('response', token);
+      if (remoteIp !== 'unknown') {
+        form.append('remoteip', remoteIp);
+      }
+
+      const response = await fetch(TURNSTILE_VERIFY_URL, {
+        method: 'POST',
+        body: form,
+        signal: AbortSignal.timeout(TURNSTILE_TIMEOUT),
+      });
+      const data = await response.json();
+      return { success: data.success === true, errorCodes: data['error-codes'] || [] };
+    },
+  };
+}
+
+// Fails closed: a missing secret rejects submissions rather than letting every
+// bot through, so skipping Turnstile takes an explicit TURNSTILE_VERIFIER=stub
+function getVerifier(env) {
+  if (env.TURNSTILE_VERIFIER === 'stub') return stubVerifier;
+  requireEnv(env, ['TURNSTILE_SECRET_KEY'], 'Spam protection is not configured. Please contact the administrator.');
+  return turnstileVerifier(env);
+}
+
+function rejected(context, reason) {
+  console.warn(`[${context}] Rejected submission:`, reason);
+  return new ApiError(ErrorCode.CHALLENGE_FAILED, 'We could not verify this submission. Please reload the page and try again.');
+}
+
+// Throws CHALLENGE_FAILED for a filled-in honeypot, a form submitted faster than
+// a person could, or a Turnstile token Cloudflare doesn't accept. The message
+// is the same for each, so a bot can't tell which check it failed.
+export async function assertHuman(request, env, body, { context, minSubmitSeconds = DEFAULT_MIN_SUBMIT_SECONDS } = {}) {
+  const honeypot = body[HONEYPOT_FIELD];
+  if (honeypot !== undefined && honeypot !== null && honeypot !== '') {
+    throw rejected(context, 'honeypot');
+  }
+
+  const startedAt = Number(body.formStartedAt);
+  if (!body.formStartedAt || !Number.isFinite(startedAt)) {
+    throw rejected(context, 'missing form start time');
+  }
+
+  const elapsedSeconds = (Date.now() - startedAt) / 1000;
+  if (elapsedSeconds < minSubmitSeconds || elapsedSeconds > MAX_FORM_AGE_SECONDS) {
+    throw rejected(context, `submitted after ${elapsedSeconds.toFixed(1)}s`);
+  }
+
+  const verifier = getVerifier(env);
+
+  const token = body.turnstileToken;
+  if (!token || typeof token !== 'string') {
+    throw rejected(context, 'missing Turnstile token');
+  }
+
+  let result;
+  try {
+    result = await verifier.verify(token, { remoteIp: clientIp(request) });
+  } catch (error) {
+    console.error(`[${context}] Turnstile verification failed:`, error);
+    throw new ApiError(ErrorCode.UPSTREAM_ERROR, 'Could not verify this submission. Please try again.');
+  }
+
+  if (!result.success) {
+    throw rejected(context, `Turnstile: ${result.errorCodes.join(', ') || 'failed'}`);
+  }
+}
+
+function countLinks(text) {
+  return (text.match(/https?:\/\/|www\./gi) || []).length;
+}
+
+// Looks for spam in free-text fields: more than a couple of links between them,
+// or blocklisted words. `SPAM_BLOCKLIST` (comma separated) adds to the built-in
+// list. Returns the reasons, for admins reviewing what was caught.
+export function detectSpam(env, fields) {
+  const reasons = [];
+  const blocklist = [
+    ...BLOCKLIST,
+    ...(env.SPAM_BLOCKLIST || '').split(',').map((word) => word.trim().toLowerCase()).filter(Boolean),
+  ];
+  const texts = Object.values(fields).filter((value) => typeof value === 'string').map((value) => value.toLowerCase());
+
+  const links = texts.reduce((total, text) => total + countLinks(text), 0);
+  if (links > MAX_LINKS) {
+    reasons.push(`${links} links`);
+  }
+
+  const blocked = blocklist.filter((word) => texts.some((text) => text.includes(word)));
+  if (blocked.length > 0) {
+    reasons.push(`blocklisted: ${blocked.join(', ')}`);
+  }
+
+  return { spam: reasons.length > 0, reasons };
+}
@@ -0,0 +1,76 @@
+import { ACCESS_TOKEN_TTL_SECONDS, signAccessToken } from './auth.js';
+import { ApiError, ErrorCode } from './http.js';
+import { MIN_PASSWORD_LENGTH } from './passwords.js';
+import { createSession } from './sessions.js';
+
+// Columns that are safe to return to the admin UI (never the password hash)
+export const ADMIN_USER_COLUMNS = 'id, email, name, role, disabled_at, mfa_required, totp_enabled_at, last_login_at, created_at';
+
+const MAX_PASSWORD_LENGTH = 256;
+
+export function toAdminUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    name: row.name,
+    role: row.role,
+    disabled: Boolean(row.disabled_at),
+    mfaEnabled: Boolean(row.totp_enabled_at),
+    mfaRequired: Boolean(row.mfa_required),
+    lastLoginAt: row.last_login_at,
+    createdAt: row.created_at,
+  };
+}
+
+export function validateNewPassword(password) {
+  if (!password || typeof password !== 'string') {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Password is required.');
+  }
+  if (password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `Password must be between ${MIN_PASSWORD_LENGTH} and ${MAX_PASSWORD_LENGTH} characters.`);
+  }
+}
+
+// Stops the last active owner being disabled or demoted, which would leave
+// nobody able to manage admin accounts.
+export async function assertOtherActiveOwner(supabase, userId) {
+  const { count, error } = await supabase
+    .from('admin_users')
+    .select('id', { count: 'exact', head: true })
+    .eq('role', 'owner')
+    .is('disabled_at', null)
+    .neq('id', userId);
+
+  if (error) {
+    console.error('[admin-users] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to update admin user.');
+  }
+
+  if (!count) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'There must be at least one active owner.');
+  }
+}
+
+// Final step of a successful login, after the password and any 2FA code have
+// been checked: starts a session and issues its first access and refresh tokens
+export async function completeLogin(supabase, env, user) {
+  const { sessionId, refreshToken } = await createSession(supabase, user.id);
+
+  const { error } = await supabase
+    .from('admin_users')
+    .update({ last_login_at: new Date().toISOString() })
+    .eq('id', user.id);
+  if (error) {
+    console.error('[login] Failed to record last login:', error);
+  }
+
+  const mfaSetupRequired = Boolean(user.mfa_required && !user.totp_enabled_at);
+
+  return {
+    token: signAccessToken(env, user, { sessionId, mfaSetupRequired }),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken,
+    user: { id: user.id, email: user.email, name: user.name, role: user.role },
+    mfaSetupRequired,
+  };
+}
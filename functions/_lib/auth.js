@@ -0,0 +1,79 @@
+import { createClient } from '@supabase/supabase-js';
+import jwt from 'jsonwebtoken';
+import { ApiError, ErrorCode, requireEnv } from './http.js';
+import { isSessionActive } from './sessions.js';
+
+// owner: everything, including managing admin accounts
+// finance: donations, refunds and exports
+// desk: the shared inbox, outgoing email and reports
+// viewer: read-only dashboards
+export const ROLES = ['owner', 'finance', 'desk', 'viewer'];
+
+// Kept short because clients renew them with a refresh token (see sessions.js)
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
+// The token's `jti` is the session it belongs to. Admins who must use 2FA but
+// haven't enrolled yet get a token marked `mfa_setup`, which only the 2FA
+// enrolment routes accept.
+export function signAccessToken(env, user, { sessionId, mfaSetupRequired = false } = {}) {
+  const claims = { sub: user.id, email: user.email, role: user.role };
+  if (mfaSetupRequired) {
+    claims.mfa_setup = true;
+  }
+  return jwt.sign(claims, env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_SECONDS, jwtid: sessionId });
+}
+
+// Verifies the admin JWT from the Authorization header, checks its session
+// hasn't been revoked, and returns its claims
+export async function authenticate(request, env, { allowMfaSetup = false } = {}) {
+  const authHeader = request.headers.get('Authorization');
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new ApiError(ErrorCode.UNAUTHORIZED, 'Authentication required.');
+  }
+
+  requireEnv(env, ['JWT_SECRET'], 'Authentication system not configured.');
+
+  let claims;
+  try {
+    claims = jwt.verify(authHeader.slice('Bearer '.length), env.JWT_SECRET);
+  } catch (error) {
+    // TokenExpiredError extends JsonWebTokenError, so it has to be checked first
+    if (error instanceof jwt.TokenExpiredError) {
+      throw new ApiError(ErrorCode.TOKEN_EXPIRED, 'Token expired. Please log in again.');
+    }
+    if (error instanceof jwt.JsonWebTokenError) {
+      throw new ApiError(ErrorCode.UNAUTHORIZED, 'Invalid token.');
+    }
+    throw error;
+  }
+
+  // Pre-auth tokens from the first login step are only good for /api/login/verify
+  if (claims.purpose) {
+    throw new ApiError(ErrorCode.UNAUTHORIZED, 'Invalid token.');
+  }
+
+  // Tokens from before per-user accounts or sessions carry no user, role or jti
+  if (!claims.sub || !ROLES.includes(claims.role) || !claims.jti) {
+    throw new ApiError(ErrorCode.TOKEN_EXPIRED, 'Token expired. Please log in again.');
+  }
+
+  if (claims.mfa_setup && !allowMfaSetup) {
+    throw new ApiError(ErrorCode.MFA_SETUP_REQUIRED, 'Two-factor authentication must be set up before continuing.');
+  }
+
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  if (!(await isSessionActive(supabase, claims.jti, claims.sub))) {
+    throw new ApiError(ErrorCode.SESSION_REVOKED, 'Your session has ended. Please log in again.');
+  }
+
+  return claims;
+}
+
+export function authorize(user, roles) {
+  if (roles && !roles.includes(user.role)) {
+    throw new ApiError(ErrorCode.FORBIDDEN, 'You do not have permission to do this.');
+  }
+}
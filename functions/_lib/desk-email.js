@@ -0,0 +1,77 @@
+import { Resend } from 'resend';
+import { ApiError, ErrorCode } from './http.js';
+import { isSuppressed } from './suppressions.js';
+
+export const DESK_SENDER = 'The Warmthly Desk <desk@warmthly.org>';
+
+// Sends one email as the desk on behalf of a signed-in admin and records it in
+// outbound_emails. Refuses suppressed addresses. Each message gets our own
+// Message-ID so replies to it can be matched back to `threadId`.
+export async function sendDeskEmail(env, supabase, {
+  to,
+  subject,
+  html,
+  text,
+  sentBy,
+  headers = {},
+  threadId = crypto.randomUUID(),
+  replyToEmailId = null,
+  templateId = null,
+  context = 'send-email',
+}) {
+  let suppressed;
+  try {
+    suppressed = await isSuppressed(supabase, to);
+  } catch (error) {
+    console.error(`[${context}] Failed to check email suppressions:`, error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to send email. Please try again.');
+  }
+
+  if (suppressed) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'This address has unsubscribed from Warmthly emails.');
+  }
+
+  const messageId = `${crypto.randomUUID()}@warmthly.org`;
+
+  const resend = new Resend(env.RESEND_API_KEY);
+  const { data, error } = await resend.emails.send({
+    from: DESK_SENDER,
+    to: [to],
+    subject,
+    html,
+    text,
+    headers: { 'Message-ID': `<${messageId}>`, ...headers },
+  });
+
+  if (error) {
+    console.error(`[${context}] Resend API error:`, error);
+    // Resend mostly rejects on bad input (e.g. an undeliverable address), so keep this a 400
+    throw new ApiError(ErrorCode.UPSTREAM_ERROR, error.message || 'Failed to send email. Please try again.', { status: 400 });
+  }
+
+  // The email has already gone, so a failed log write is reported but not treated as a failed send
+  const { data: logged, error: logError } = await supabase
+    .from('outbound_emails')
+    .insert({
+      sent_by: sentBy.sub,
+      sender_email: sentBy.email,
+      from_address: DESK_SENDER,
+      to_address: to,
+      subject,
+      html,
+      text,
+      template_id: templateId,
+      resend_id: data?.id || null,
+      message_id: messageId,
+      thread_id: threadId,
+      reply_to_email_id: replyToEmailId,
+    })
+    .select('id')
+    .single();
+
+  if (logError) {
+    console.error(`[${context}] Failed to record sent email:`, { resendId: data?.id, error: logError });
+  }
+
+  return { resendId: data?.id || null, messageId, threadId, outboundEmailId: logged?.id ?? null };
+}
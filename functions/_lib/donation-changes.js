@@ -0,0 +1,147 @@
+import {
+  MAX_CAMPAIGN_LENGTH,
+  MAX_CATEGORY_LENGTH,
+  MAX_DONOR_LENGTH,
+  MAX_PURPOSE_LENGTH,
+  toDonation,
+  validateDate,
+  validateEmail,
+  validateText,
+} from './donations.js';
+import { ApiError, ErrorCode } from './http.js';
+
+// Corrections admins can make to donation records. Only how a donation is
+// described can change; amount, currency and status come from Yoco and only
+// change through payments and refunds. Every change keeps the row as it was
+// before and after in donation_changes (migration 0019).
+
+const MAX_REASON_LENGTH = 500;
+
+// `required` fields can be corrected but not cleared
+const EDITABLE_FIELDS = {
+  donor: { column: 'donor', required: true, validate: (value) => validateText(value, 'Donor', MAX_DONOR_LENGTH) },
+  donorEmail: { column: 'donor_email', validate: (value) => validateEmail(value) },
+  purpose: { column: 'purpose', required: true, validate: (value) => validateText(value, 'Purpose', MAX_PURPOSE_LENGTH) },
+  category: { column: 'category', required: true, validate: (value) => validateText(value, 'Category', MAX_CATEGORY_LENGTH) },
+  campaign: { column: 'campaign', validate: (value) => validateText(value, 'Campaign', MAX_CAMPAIGN_LENGTH) },
+  date: { column: 'date', required: true, validate: validateDate },
+};
+
+function sameValue(column, current, next) {
+  if (column === 'date') {
+    return current !== null && next !== null && new Date(current).getTime() === new Date(next).getTime();
+  }
+  return (current ?? null) === next;
+}
+
+function parseReason(reason, errors) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    errors.reason = 'A reason for the change is required';
+    return null;
+  }
+  return reason.trim().substring(0, MAX_REASON_LENGTH);
+}
+
+function assertObject(body) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Request body must be an object.');
+  }
+}
+
+function invalid(errors) {
+  return new ApiError(ErrorCode.VALIDATION_ERROR, 'Invalid donation change.', { details: { fields: errors } });
+}
+
+// Validates a PATCH body into `{ changes, reason }`, where `changes` maps
+// columns to their new values and leaves out anything that wouldn't change.
+// Every problem is reported at once, by field.
+export function parseDonationChanges(body, donation) {
+  assertObject(body);
+
+  const errors = {};
+  const changes = {};
+
+  for (const [field, value] of Object.entries(body)) {
+    if (field === 'reason') continue;
+
+    const spec = EDITABLE_FIELDS[field];
+    if (!spec) {
+      errors[field] = `${field} cannot be changed`;
+      continue;
+    }
+
+    const result = spec.validate(value);
+    if (result.error) {
+      errors[field] = result.error;
+    } else if (result.value === null && spec.required) {
+      errors[field] = `${field} cannot be cleared`;
+    } else if (!sameValue(spec.column, donation[spec.column], result.value)) {
+      changes[spec.column] = result.value;
+    }
+  }
+
+  const reason = parseReason(body.reason, errors);
+
+  if (Object.keys(errors).length > 0) {
+    throw invalid(errors);
+  }
+  if (Object.keys(changes).length === 0) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `Nothing to change. Editable fields: ${Object.keys(EDITABLE_FIELDS).join(', ')}.`);
+  }
+
+  return { changes, reason };
+}
+
+export function parseDeleteReason(body) {
+  assertObject(body);
+
+  const errors = {};
+  const reason = parseReason(body.reason, errors);
+  if (reason === null) {
+    throw invalid(errors);
+  }
+  return reason;
+}
+
+// Looks a donation up by transaction ID, as the rest of the API exposes them,
+// including deleted ones
+export async function fetchDonation(supabase, transactionId) {
+  const { data, error } = await supabase
+    .from('donations')
+    .select('*')
+    .eq('transaction_id', transactionId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[donations] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch donation from database.');
+  }
+  if (!data) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Donation not found.');
+  }
+  return data;
+}
+
+// The admin view of a donation: what GET /api/donations lists, plus the
+// donor's email and payment reference
+export function toDonationRecord(donation) {
+  return {
+    ...toDonation(donation),
+    donor_email: donation.donor_email || null,
+    payment_id: donation.payment_id || null,
+    updated_at: donation.updated_at || null,
+    deleted_at: donation.deleted_at || null,
+  };
+}
+
+export function toDonationChange(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    reason: row.reason,
+    before: row.before,
+    after: row.after,
+    changed_by: row.changed_by,
+    created_at: row.created_at,
+  };
+}
@@ -0,0 +1,198 @@
+import { isValidEmail } from './validation.js';
+
+// Limits shared by every path that takes money: one-off checkouts and recurring charges
+export const ALLOWED_CURRENCIES = ['ZAR', 'USD', 'EUR', 'GBP'];
+export const MIN_AMOUNT = 100; // R1.00 in cents
+export const MAX_AMOUNT = 100000000; // R1,000,000.00 in cents
+
+// Donations that count as money received; refunds are netted out of their amount
+export const SETTLED_STATUSES = ['succeeded', 'partially_refunded'];
+
+// Field limits and validators shared by create-checkout, POST /donations and
+// donation corrections. Each validator returns `{ value }` or `{ error }`.
+const MAX_TRANSACTION_ID_LENGTH = 100;
+export const MAX_DONOR_LENGTH = 200;
+export const MAX_EMAIL_LENGTH = 254; // The longest address SMTP allows
+export const MAX_PURPOSE_LENGTH = 200;
+export const MAX_CATEGORY_LENGTH = 100;
+export const MAX_CAMPAIGN_LENGTH = 100;
+const MAX_BACKDATE_YEARS = 10;
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Optional free-text fields: absent is fine, but anything sent must be a non-empty string within limits
+export function validateText(value, label, maxLength) {
+  if (value === undefined || value === null || value === '') {
+    return { value: null };
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return { error: `${label} must be a non-empty string` };
+  }
+  if (value.trim().length > maxLength) {
+    return { error: `${label} must be at most ${maxLength} characters` };
+  }
+  return { value: value.trim() };
+}
+
+export function validateEmail(value, label = 'Donor email') {
+  const result = validateText(value, label, MAX_EMAIL_LENGTH);
+  if (result.value && !isValidEmail(result.value)) {
+    return { error: `Invalid ${label.toLowerCase()} address format` };
+  }
+  return result;
+}
+
+// Minor units only: 12.5 or '12.50' is a mistake, not 12 or 13 cents
+export function validateAmount(amount) {
+  if (amount === undefined || amount === null || amount === '') {
+    return { error: 'Amount is required' };
+  }
+
+  const amountNum = typeof amount === 'string' && /^\d+$/.test(amount.trim()) ? Number(amount) : amount;
+  if (!Number.isInteger(amountNum)) {
+    return { error: 'Amount must be a whole number of cents' };
+  }
+  if (amountNum < MIN_AMOUNT || amountNum > MAX_AMOUNT) {
+    return { error: `Amount must be between ${MIN_AMOUNT} and ${MAX_AMOUNT} cents` };
+  }
+  return { value: amountNum };
+}
+
+export function validateCurrency(currency) {
+  if (!currency || typeof currency !== 'string') {
+    return { error: 'Currency is required' };
+  }
+
+  const normalizedCurrency = currency.trim().toUpperCase();
+  if (!ALLOWED_CURRENCIES.includes(normalizedCurrency)) {
+    return { error: `Invalid currency. Allowed currencies: ${ALLOWED_CURRENCIES.join(', ')}` };
+  }
+  return { value: normalizedCurrency };
+}
+
+// Optional ISO 8601 date, no later than now and no further back than donations are kept
+export function validateDate(value) {
+  if (value === undefined || value === null || value === '') {
+    return { value: null };
+  }
+
+  const parsed = typeof value === 'string' ? new Date(value) : null;
+  const earliest = new Date();
+  earliest.setUTCFullYear(earliest.getUTCFullYear() - MAX_BACKDATE_YEARS);
+
+  if (!parsed || isNaN(parsed.getTime())) {
+    return { error: 'Date must be an ISO 8601 date' };
+  }
+  if (parsed.getTime() > Date.now() + MAX_CLOCK_SKEW_MS) {
+    return { error: 'Date cannot be in the future' };
+  }
+  if (parsed < earliest) {
+    return { error: `Date cannot be more than ${MAX_BACKDATE_YEARS} years ago` };
+  }
+  return { value: parsed.toISOString() };
+}
+
+// Checks a manually recorded donation against the same limits as checkouts.
+// Returns the cleaned values and a `{ field: message }` map of every problem
+// found, so forms can show them all at once.
+export function validateDonationInput(input) {
+  const errors = {};
+  const values = {};
+
+  const { transactionId, amount, currency = 'ZAR', donor, purpose, category, date } = input;
+
+  if (typeof transactionId !== 'string' || !transactionId.trim()) {
+    errors.transactionId = 'Transaction ID is required';
+  } else if (!new RegExp(`^[A-Za-z0-9_-]{1,${MAX_TRANSACTION_ID_LENGTH}}$`).test(transactionId.trim())) {
+    errors.transactionId = `Transaction ID must be at most ${MAX_TRANSACTION_ID_LENGTH} letters, digits, dashes or underscores`;
+  } else {
+    values.transactionId = transactionId.trim();
+  }
+
+  const fields = {
+    amount: validateAmount(amount),
+    currency: validateCurrency(currency),
+    donor: validateText(donor, 'Donor', MAX_DONOR_LENGTH),
+    purpose: validateText(purpose, 'Purpose', MAX_PURPOSE_LENGTH),
+    category: validateText(category, 'Category', MAX_CATEGORY_LENGTH),
+    date: validateDate(date),
+  };
+  for (const [field, result] of Object.entries(fields)) {
+    if (result.error) {
+      errors[field] = result.error;
+    } else {
+      values[field] = result.value;
+    }
+  }
+
+  return { values, errors };
+}
+
+// Reads donations in id order, a batch at a time, so callers aren't limited by
+// Supabase's row cap. Filters on the donation `date`; soft-deleted donations
+// are left out.
+export async function* donationBatches(supabase, { columns, statuses, from, to, category, batchSize = 1000 }) {
+  let lastId = null;
+
+  for (;;) {
+    let query = supabase
+      .from('donations')
+      .select(columns)
+      .in('status', statuses)
+      .is('deleted_at', null)
+      .order('id', { ascending: true })
+      .limit(batchSize);
+
+    if (lastId !== null) query = query.gt('id', lastId);
+    if (from) query = query.gte('date', from);
+    if (to) query = query.lt('date', to);
+    if (category) query = query.eq('category', category);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    if (data.length > 0) {
+      yield data;
+      lastId = data[data.length - 1].id;
+    }
+    if (data.length < batchSize) return;
+  }
+}
+
+// The Airtable `{ id, fields, createdTime }` shape the first frontends were
+// built against. Amount is net of refunds so client-side totals don't count
+// refunded money.
+export function toAirtableRecord(donation) {
+  return {
+    id: donation.transaction_id || donation.id,
+    fields: {
+      Amount: donation.amount - (donation.refunded_amount || 0),
+      Currency: donation.currency,
+      Donor: donation.donor,
+      Purpose: donation.purpose,
+      Category: donation.category,
+      Date: donation.date || donation.created_at,
+      'Transaction ID': donation.transaction_id || donation.id,
+    },
+    createdTime: donation.created_at || donation.date,
+  };
+}
+
+// The native shape. Leaves out the donor's email and payment references, since
+// donation lists are public.
+export function toDonation(donation) {
+  return {
+    id: donation.transaction_id || String(donation.id),
+    status: donation.status,
+    amount: donation.amount,
+    refunded_amount: donation.refunded_amount || 0,
+    net_amount: donation.amount - (donation.refunded_amount || 0),
+    currency: donation.currency,
+    donor: donation.donor,
+    purpose: donation.purpose,
+    category: donation.category,
+    campaign: donation.campaign || null,
+    recurring: Boolean(donation.recurring_donation_id),
+    date: donation.date || donation.created_at,
+    created_at: donation.created_at,
+  };
+}
@@ -0,0 +1,118 @@
+import { ApiError, ErrorCode } from './http.js';
+
+// Templates live in the email_templates table. Subject, HTML and optional text
+// parts may contain `{{variable}}` placeholders; values are HTML-escaped when
+// substituted into the HTML part. `{{{variable}}}` inserts a value unescaped,
+// for HTML written by admins such as a newsletter body. Without a text part,
+// one is generated from the HTML.
+const PLACEHOLDER = /\{\{\{\s*([A-Za-z_]\w*)\s*\}\}\}|\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/gi, '&');
+}
+
+// Good enough for the plain-text part of our own emails, not a general converter
+export function htmlToText(html) {
+  const text = html
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const labelText = label.replace(/<[^>]+>/g, '').trim();
+      return !labelText || labelText === href ? href : `${labelText} (${href})`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<hr[^>]*>/gi, '\n---\n')
+    .replace(/<li[^>]*>/gi, '- ')
+    .replace(/<\/(li|tr)>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|table|ul|ol|blockquote)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function substitute(source, variables, escape) {
+  return source.replace(PLACEHOLDER, (match, rawName, name) => {
+    if (rawName) {
+      return String(variables[rawName]);
+    }
+    return escape ? escapeHtml(variables[name]) : String(variables[name]);
+  });
+}
+
+function placeholdersIn(...sources) {
+  const names = new Set();
+  for (const source of sources) {
+    for (const [, rawName, name] of (source || '').matchAll(PLACEHOLDER)) {
+      names.add(rawName || name);
+    }
+  }
+  return names;
+}
+
+// Renders a template row into { subject, html, text }. Every placeholder must
+// have a value; missing ones are reported together.
+export function renderTemplate(template, variables = {}) {
+  if (typeof variables !== 'object' || variables === null || Array.isArray(variables)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'variables must be an object.');
+  }
+
+  const missing = [...placeholdersIn(template.subject, template.html, template.text)]
+    .filter((name) => variables[name] === undefined || variables[name] === null);
+
+  if (missing.length > 0) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `Missing template variables: ${missing.join(', ')}`, {
+      details: { missing },
+    });
+  }
+
+  const html = substitute(template.html, variables, true);
+
+  return {
+    // Subjects are plain text, so nothing to escape; line breaks would break the header
+    subject: substitute(template.subject, variables, false).replace(/[\r\n]+/g, ' ').trim(),
+    html,
+    text: template.text ? substitute(template.text, variables, false) : htmlToText(html),
+  };
+}
+
+export async function loadTemplate(supabase, templateId) {
+  const { data, error } = await supabase
+    .from('email_templates')
+    .select('id, name, subject, html, text')
+    .eq('id', templateId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[email-templates] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to load email template.');
+  }
+
+  if (!data) {
+    throw new ApiError(ErrorCode.NOT_FOUND, `Email template not found: ${templateId}`);
+  }
+
+  return data;
+}
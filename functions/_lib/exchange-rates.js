@@ -0,0 +1,179 @@
+import { ApiError, ErrorCode } from './http.js';
+
+// Each provider gets this long before the next one is tried
+const PROVIDER_TIMEOUT = 5000;
+const DEFAULT_TTL_SECONDS = 60 * 60;
+// Last-known rates are served, marked stale, for up to this long when every provider is down
+const MAX_STALE_SECONDS = 7 * 24 * 60 * 60;
+
+// Amounts are in cents everywhere except these, which have no minor unit
+export const ZERO_DECIMAL_CURRENCIES = ['JPY'];
+
+function exchangeRateApiUrl(env, base) {
+  const apiKey = env.EXCHANGE_RATE_API_KEY || 'free';
+  return apiKey === 'free'
+    ? `https://api.exchangerate-api.com/v4/latest/${encodeURIComponent(base)}`
+    : `https://v6.exchangerate-api.com/v6/${apiKey}/latest/${encodeURIComponent(base)}`;
+}
+
+async function fetchJson(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROVIDER_TIMEOUT);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`${url.split('/')[2]} returned ${response.status}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Tried in order. Each returns `{ USD: 0.055, ... }` including `base` itself.
+const PROVIDERS = [
+  {
+    // The keyed API when EXCHANGE_RATE_API_KEY is set, otherwise the free tier;
+    // v4 and v6 name the field differently
+    name: 'exchangerate-api',
+    async fetch(env, base) {
+      const data = await fetchJson(exchangeRateApiUrl(env, base));
+      return data.rates || data.conversion_rates;
+    },
+  },
+  {
+    // European Central Bank reference rates; fewer currencies, no key needed
+    name: 'frankfurter',
+    async fetch(env, base) {
+      const data = await fetchJson(`https://api.frankfurter.app/latest?from=${encodeURIComponent(base)}`);
+      return data.rates && { ...data.rates, [base]: 1 };
+    },
+  },
+];
+
+// Keeps rates in this isolate's memory. Only for local development; set
+// EXCHANGE_RATE_STORE=memory to use it.
+const memoryRates = new Map();
+
+const memoryStore = {
+  async get(base) {
+    return memoryRates.get(base) || null;
+  },
+
+  async put(base, entry) {
+    memoryRates.set(base, entry);
+  },
+};
+
+// Shared by every isolate, when the EXCHANGE_RATES_KV namespace is bound
+function kvStore(kv) {
+  return {
+    async get(base) {
+      return kv.get(`rates:${base}`, 'json');
+    },
+
+    async put(base, entry) {
+      await kv.put(`rates:${base}`, JSON.stringify(entry), { expirationTtl: MAX_STALE_SECONDS });
+    },
+  };
+}
+
+// Cloudflare's Cache API, local to each data centre
+function cacheStore() {
+  const keyFor = (base) => new Request(`https://exchange-rates.warmthly.internal/${encodeURIComponent(base)}`);
+
+  return {
+    async get(base) {
+      const response = await caches.default.match(keyFor(base));
+      return response ? response.json() : null;
+    },
+
+    async put(base, entry) {
+      await caches.default.put(keyFor(base), new Response(JSON.stringify(entry), {
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': `max-age=${MAX_STALE_SECONDS}` },
+      }));
+    },
+  };
+}
+
+function getStore(env) {
+  if (env.EXCHANGE_RATE_STORE === 'memory') return memoryStore;
+  if (env.EXCHANGE_RATES_KV) return kvStore(env.EXCHANGE_RATES_KV);
+  return cacheStore();
+}
+
+// Latest rates from `base` to every other currency, as
+// `{ rates: { USD: 0.055, ... }, fetchedAt, source, stale }`.
+//
+// Rates are cached per base for EXCHANGE_RATE_TTL_SECONDS (default an hour).
+// After that the providers are tried in turn; if they all fail, the last rates
+// fetched are returned with `stale: true`, and only without any is it an error.
+// A broken cache never fails the request, it just means fetching every time.
+export async function fetchRates(env, base, { context = 'exchange-rates' } = {}) {
+  const store = getStore(env);
+  // 0 is allowed: always fetch, and only use the cache when the providers fail
+  const configuredTtl = Number.parseInt(env.EXCHANGE_RATE_TTL_SECONDS, 10);
+  const ttlSeconds = configuredTtl >= 0 ? configuredTtl : DEFAULT_TTL_SECONDS;
+
+  let cached = null;
+  try {
+    cached = await store.get(base);
+  } catch (error) {
+    console.error(`[${context}] Error reading cached exchange rates:`, error);
+  }
+
+  const age = cached ? (Date.now() - new Date(cached.fetchedAt).getTime()) / 1000 : Infinity;
+  if (age < ttlSeconds) {
+    return { ...cached, stale: false };
+  }
+
+  const errors = [];
+  for (const provider of PROVIDERS) {
+    let rates;
+    try {
+      rates = await provider.fetch(env, base);
+      if (!rates || typeof rates !== 'object') {
+        throw new Error(`Invalid response from ${provider.name}`);
+      }
+    } catch (error) {
+      console.error(`[${context}] Error fetching exchange rates from ${provider.name}:`, error);
+      errors.push(error);
+      continue;
+    }
+
+    const entry = { rates, fetchedAt: new Date().toISOString(), source: provider.name };
+    try {
+      await store.put(base, entry);
+    } catch (error) {
+      console.error(`[${context}] Error caching exchange rates:`, error);
+    }
+    return { ...entry, stale: false };
+  }
+
+  if (age < MAX_STALE_SECONDS) {
+    console.error(`[${context}] All exchange rate providers failed; using rates from ${cached.fetchedAt}`);
+    return { ...cached, stale: true };
+  }
+
+  if (errors.every((error) => error.name === 'AbortError')) {
+    throw new ApiError(ErrorCode.UPSTREAM_TIMEOUT, 'Exchange rate API request timed out. Please try again.');
+  }
+  throw new ApiError(ErrorCode.UPSTREAM_ERROR, 'Failed to fetch exchange rates');
+}
+
+// Converts an amount in `currency`'s smallest unit to ZAR cents, given rates
+// based on ZAR. Returns null when there is no rate for the currency.
+export function toZarCents(amount, currency, zarRates) {
+  if (currency === 'ZAR') {
+    return amount;
+  }
+
+  const rate = zarRates[currency];
+  if (!rate || typeof rate !== 'number') {
+    return null;
+  }
+
+  const major = ZERO_DECIMAL_CURRENCIES.includes(currency) ? amount : amount / 100;
+  return Math.round((major / rate) * 100);
+}
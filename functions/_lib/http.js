@@ -0,0 +1,110 @@
+export const ALLOWED_ORIGINS = [
+  'https://www.warmthly.org',
+  'https://mint.warmthly.org',
+  'https://post.warmthly.org',
+  'https://admin.warmthly.org',
+];
+
+// Machine-readable error codes returned in `{ error: { message, code } }`.
+// Clients branch on these, so treat them as part of the public API.
+export const ErrorCode = Object.freeze({
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+  SESSION_REVOKED: 'SESSION_REVOKED',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+  INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+  PAYMENT_DECLINED: 'PAYMENT_DECLINED',
+  FORBIDDEN: 'FORBIDDEN',
+  MFA_SETUP_REQUIRED: 'MFA_SETUP_REQUIRED',
+  ORIGIN_NOT_ALLOWED: 'ORIGIN_NOT_ALLOWED',
+  CHALLENGE_FAILED: 'CHALLENGE_FAILED',
+  NOT_FOUND: 'NOT_FOUND',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  DUPLICATE: 'DUPLICATE',
+  INVALID_STATE: 'INVALID_STATE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  CONFIGURATION_ERROR: 'CONFIGURATION_ERROR',
+  DATABASE_ERROR: 'DATABASE_ERROR',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+  UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+  REFUND_REJECTED: 'REFUND_REJECTED',
+  UPSTREAM_TIMEOUT: 'UPSTREAM_TIMEOUT',
+});
+
+const STATUS_BY_CODE = {
+  VALIDATION_ERROR: 400,
+  UNAUTHORIZED: 401,
+  TOKEN_EXPIRED: 401,
+  SESSION_REVOKED: 401,
+  INVALID_CREDENTIALS: 401,
+  INVALID_SIGNATURE: 401,
+  PAYMENT_DECLINED: 402,
+  FORBIDDEN: 403,
+  MFA_SETUP_REQUIRED: 403,
+  ORIGIN_NOT_ALLOWED: 403,
+  CHALLENGE_FAILED: 403,
+  NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  DUPLICATE: 409,
+  INVALID_STATE: 409,
+  RATE_LIMITED: 429,
+  CONFIGURATION_ERROR: 500,
+  DATABASE_ERROR: 500,
+  INTERNAL_ERROR: 500,
+  UPSTREAM_ERROR: 502,
+  REFUND_REJECTED: 502,
+  UPSTREAM_TIMEOUT: 504,
+};
+
+// Thrown from route handlers; the middleware turns it into the error envelope.
+// The status follows from the code unless a route has a reason to override it.
+export class ApiError extends Error {
+  constructor(code, message, { status, details, headers } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status || STATUS_BY_CODE[code] || 500;
+    this.details = details;
+    this.headers = headers;
+  }
+}
+
+export function isAllowedOrigin(origin) {
+  return ALLOWED_ORIGINS.includes(origin);
+}
+
+export function json(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+  });
+}
+
+export function errorResponse(error) {
+  if (error instanceof ApiError) {
+    const body = { message: error.message, code: error.code };
+    if (error.details) {
+      body.details = error.details;
+    }
+    return json({ error: body }, error.status, error.headers);
+  }
+
+  return json({ error: { message: 'Internal Server Error', code: ErrorCode.INTERNAL_ERROR } }, 500);
+}
+
+export async function readJson(request) {
+  try {
+    return await request.json();
+  } catch {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Request body must be valid JSON.');
+  }
+}
+
+export function requireEnv(env, names, message = 'Service not configured.') {
+  const missing = names.filter((name) => !env[name]);
+  if (missing.length > 0) {
+    console.error(`[config] Missing environment variables: ${missing.join(', ')}`);
+    throw new ApiError(ErrorCode.CONFIGURATION_ERROR, message);
+  }
+}
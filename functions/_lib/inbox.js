@@ -0,0 +1,95 @@
+// Inbound email storage and the desk inbox. Messages are grouped into threads:
+// a reply joins the thread of the message it answers (In-Reply-To, then
+// References, newest first), whether that was received or sent by the desk;
+// anything else starts a new thread.
+
+async function resolveThreadId(supabase, message) {
+  const candidates = [message.inReplyTo, ...[...message.references].reverse()].filter(Boolean);
+
+  if (candidates.length > 0) {
+    const [received, sent] = await Promise.all([
+      supabase.from('emails').select('message_id, thread_id').in('message_id', candidates),
+      supabase.from('outbound_emails').select('message_id, thread_id').in('message_id', candidates),
+    ]);
+
+    if (received.error) throw received.error;
+    if (sent.error) throw sent.error;
+
+    const known = [...received.data, ...sent.data];
+    for (const candidate of candidates) {
+      const parent = known.find((row) => row.message_id === candidate);
+      if (parent?.thread_id) {
+        return parent.thread_id;
+      }
+    }
+  }
+
+  return crypto.randomUUID();
+}
+
+// Stores a parsed message. Deliveries are retried, so a message that is already
+// stored (same Message-ID) is reported as a duplicate rather than saved twice.
+export async function storeInboundEmail(supabase, message, { fallbackMessageId, providerId = null }) {
+  const messageId = message.messageId || fallbackMessageId;
+  const threadId = await resolveThreadId(supabase, message);
+
+  const { data, error } = await supabase
+    .from('emails')
+    .insert({
+      message_id: messageId,
+      in_reply_to: message.inReplyTo,
+      references: message.references,
+      thread_id: threadId,
+      from_address: message.from.address,
+      from_name: message.from.name,
+      to_addresses: message.to.map((recipient) => recipient.address),
+      cc_addresses: message.cc.map((recipient) => recipient.address),
+      subject: message.subject,
+      text_body: message.text,
+      html_body: message.html,
+      attachments: message.attachments,
+      sent_at: message.date && !isNaN(Date.parse(message.date)) ? new Date(message.date).toISOString() : null,
+      provider_id: providerId,
+    })
+    .select('id, thread_id')
+    .single();
+
+  if (error?.code === '23505') {
+    return { duplicate: true, messageId };
+  }
+  if (error) throw error;
+
+  return { duplicate: false, id: data.id, threadId: data.thread_id, messageId };
+}
+
+const SNIPPET_LENGTH = 200;
+
+export const INBOX_LIST_COLUMNS = 'id, message_id, thread_id, from_address, from_name, to_addresses, cc_addresses, subject, text_body, attachments, labels, read_at, archived_at, assigned_to, sent_at, created_at';
+
+// `full` includes the bodies; lists only get a snippet of the text
+export function toInboxEmail(row, { full = false } = {}) {
+  const email = {
+    id: row.id,
+    threadId: row.thread_id,
+    messageId: row.message_id,
+    from: { address: row.from_address, name: row.from_name },
+    to: row.to_addresses,
+    cc: row.cc_addresses,
+    subject: row.subject,
+    snippet: (row.text_body || '').replace(/\s+/g, ' ').trim().substring(0, SNIPPET_LENGTH),
+    attachments: row.attachments,
+    labels: row.labels,
+    read: Boolean(row.read_at),
+    archived: Boolean(row.archived_at),
+    assignedTo: row.assigned_to,
+    sentAt: row.sent_at,
+    receivedAt: row.created_at,
+  };
+
+  if (full) {
+    email.text = row.text_body;
+    email.html = row.html_body;
+    email.inReplyTo = row.in_reply_to;
+  }
+  return email;
+}
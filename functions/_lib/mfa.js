@@ -0,0 +1,93 @@
+import jwt from 'jsonwebtoken';
+import { sha256Hex } from './crypto.js';
+import { ApiError, ErrorCode } from './http.js';
+import { base32Encode, verifyTotp } from './totp.js';
+
+// Between a correct password and a correct code the admin holds only this
+// short-lived token, which authenticate() refuses for everything else.
+const PRE_AUTH_TOKEN_TTL = '5m';
+const PRE_AUTH_PURPOSE = 'mfa';
+const RECOVERY_CODE_COUNT = 10;
+
+export function signPreAuthToken(env, user) {
+  return jwt.sign({ sub: user.id, purpose: PRE_AUTH_PURPOSE }, env.JWT_SECRET, { expiresIn: PRE_AUTH_TOKEN_TTL });
+}
+
+export function verifyPreAuthToken(env, token) {
+  let claims;
+  try {
+    claims = jwt.verify(token || '', env.JWT_SECRET);
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      throw new ApiError(ErrorCode.TOKEN_EXPIRED, 'Your sign-in has expired. Please log in again.');
+    }
+    throw error;
+  }
+
+  if (claims.purpose !== PRE_AUTH_PURPOSE) {
+    throw new ApiError(ErrorCode.UNAUTHORIZED, 'Invalid token.');
+  }
+  return claims;
+}
+
+function hashRecoveryCode(code) {
+  return sha256Hex(code.toLowerCase().replace(/[^a-z0-9]/g, ''));
+}
+
+// Replaces any existing recovery codes. The plain codes are returned once and only their hashes are kept.
+export async function generateRecoveryCodes(supabase, userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.getRandomValues(new Uint8Array(7))).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const { error: deleteError } = await supabase.from('admin_recovery_codes').delete().eq('user_id', userId);
+  if (deleteError) throw deleteError;
+
+  const rows = await Promise.all(codes.map(async (code) => ({
+    user_id: userId,
+    code_hash: await hashRecoveryCode(code),
+  })));
+  const { error } = await supabase.from('admin_recovery_codes').insert(rows);
+  if (error) throw error;
+
+  return codes;
+}
+
+async function consumeRecoveryCode(supabase, userId, code) {
+  // Conditional on used_at so two concurrent logins can't spend the same code
+  const { data, error } = await supabase
+    .from('admin_recovery_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('code_hash', await hashRecoveryCode(code))
+    .is('used_at', null)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+}
+
+// Checks a TOTP code or a recovery code for a user whose 2FA is enabled.
+// `user` needs id, totp_secret and totp_last_counter.
+export async function verifySecondFactor(supabase, user, { code, recoveryCode }) {
+  if (typeof recoveryCode === 'string' && recoveryCode.trim()) {
+    return consumeRecoveryCode(supabase, user.id, recoveryCode);
+  }
+
+  const counter = await verifyTotp(user.totp_secret, code, { lastCounter: user.totp_last_counter ?? -1 });
+  if (counter === null) {
+    return false;
+  }
+
+  // Record the step so the same code can't be used again, even by a concurrent request
+  const { data, error } = await supabase
+    .from('admin_users')
+    .update({ totp_last_counter: counter })
+    .eq('id', user.id)
+    .or(`totp_last_counter.is.null,totp_last_counter.lt.${counter}`)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+}
@@ -0,0 +1,241 @@
+// A small MIME parser for inbound email: headers (including RFC 2047 encoded
+// words), nested multipart bodies, base64 and quoted-printable parts, and
+// attachment metadata. Attachment contents are measured but not kept.
+//
+// Bodies are handled as "binary strings" (one char per byte) until a part's
+// charset is known, so non-UTF-8 mail decodes correctly.
+
+const CHUNK_SIZE = 8192;
+
+export function bytesToBinary(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += CHUNK_SIZE) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK_SIZE));
+  }
+  return binary;
+}
+
+function binaryToBytes(binary) {
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+function decodeCharset(binary, charset = 'utf-8') {
+  const bytes = binaryToBytes(binary);
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch {
+    // Unknown charset label; UTF-8 is the best guess
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+function decodeBase64(text) {
+  const cleaned = text.replace(/[^A-Za-z0-9+/]/g, '');
+  try {
+    return atob(cleaned + '='.repeat((4 - (cleaned.length % 4)) % 4));
+  } catch {
+    return '';
+  }
+}
+
+function decodeQuotedPrintable(text) {
+  return text
+    .replace(/=\r?\n/g, '')
+    .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+const ENCODED_WORD = /=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g;
+
+// Decodes a raw header value: 8-bit UTF-8 as well as =?charset?B|Q?...?= words
+export function decodeHeaderValue(value) {
+  return decodeCharset(value)
+    // Whitespace between two encoded words is not part of the text
+    .replace(/(\?=)\s+(?==\?)/g, '$1')
+    .replace(ENCODED_WORD, (match, charset, encoding, text) => decodeCharset(
+      encoding.toUpperCase() === 'B' ? decodeBase64(text) : decodeQuotedPrintable(text.replace(/_/g, ' ')),
+      charset
+    ));
+}
+
+function splitHeaderAndBody(raw) {
+  const separator = raw.match(/\r?\n\r?\n/);
+  if (!separator) {
+    return { headerText: raw, body: '' };
+  }
+  return { headerText: raw.slice(0, separator.index), body: raw.slice(separator.index + separator[0].length) };
+}
+
+// Returns a Map of lower-cased header name to its raw values, in order
+function parseHeaders(headerText) {
+  const headers = new Map();
+  for (const line of headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    headers.set(name, [...(headers.get(name) || []), line.slice(colon + 1).trim()]);
+  }
+  return headers;
+}
+
+function firstHeader(headers, name) {
+  return headers.get(name)?.[0] ?? null;
+}
+
+// 'text/plain; charset="utf-8"' -> { value: 'text/plain', params: { charset: 'utf-8' } }
+function parseStructuredHeader(header) {
+  const [value, ...rest] = (header || '').split(';');
+  const params = {};
+  for (const match of rest.join(';').matchAll(/\s*([^=\s;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g)) {
+    let name = match[1].toLowerCase();
+    let paramValue = match[2].trim().replace(/^"(.*)"$/s, '$1').replace(/\\(.)/g, '$1');
+
+    // RFC 2231: filename*=utf-8''na%C3%AFve.pdf. Re-encoded as UTF-8 so the
+    // value stays a binary string like every other header value.
+    if (name.endsWith('*')) {
+      name = name.slice(0, -1);
+      const [charset, , encoded] = paramValue.split("'");
+      if (encoded !== undefined) {
+        const binary = encoded.replace(/%([0-9A-Fa-f]{2})/g, (hex, code) => String.fromCharCode(parseInt(code, 16)));
+        paramValue = bytesToBinary(new TextEncoder().encode(decodeCharset(binary, charset || 'utf-8')));
+      }
+    }
+    params[name] = paramValue;
+  }
+  return { value: value.trim().toLowerCase(), params };
+}
+
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let current = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    if (line.startsWith(delimiter) && /^(--)?\s*$/.test(line.slice(delimiter.length))) {
+      if (current) parts.push(current.join('\r\n'));
+      if (line.slice(delimiter.length).startsWith('--')) {
+        return parts;
+      }
+      current = [];
+    } else if (current) {
+      current.push(line);
+    }
+  }
+
+  if (current) parts.push(current.join('\r\n'));
+  return parts;
+}
+
+function decodeTransferEncoding(body, encoding) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'base64':
+      return decodeBase64(body);
+    case 'quoted-printable':
+      return decodeQuotedPrintable(body);
+    default:
+      return body;
+  }
+}
+
+function walkEntity(raw, result) {
+  const { headerText, body } = splitHeaderAndBody(raw);
+  const headers = parseHeaders(headerText);
+  const contentType = parseStructuredHeader(firstHeader(headers, 'content-type') || 'text/plain');
+  const disposition = parseStructuredHeader(firstHeader(headers, 'content-disposition'));
+
+  if (contentType.value.startsWith('multipart/') && contentType.params.boundary) {
+    for (const part of splitMultipart(body, contentType.params.boundary)) {
+      walkEntity(part, result);
+    }
+    return;
+  }
+
+  const decoded = decodeTransferEncoding(body, firstHeader(headers, 'content-transfer-encoding'));
+  const filename = disposition.params.filename || contentType.params.name || null;
+  const isBody = disposition.value !== 'attachment' && !filename;
+
+  if (isBody && contentType.value === 'text/plain' && result.text === null) {
+    result.text = decodeCharset(decoded, contentType.params.charset);
+  } else if (isBody && contentType.value === 'text/html' && result.html === null) {
+    result.html = decodeCharset(decoded, contentType.params.charset);
+  } else {
+    result.attachments.push({
+      filename: filename ? decodeHeaderValue(filename) : null,
+      contentType: contentType.value,
+      size: decoded.length,
+      contentId: firstHeader(headers, 'content-id')?.replace(/^<|>$/g, '') || null,
+      inline: disposition.value === 'inline',
+    });
+  }
+}
+
+// Splits an address list on commas outside quotes and angle brackets
+export function parseAddressList(value) {
+  if (!value) return [];
+
+  const entries = [];
+  let current = '';
+  let inQuotes = false;
+  let inAngle = false;
+
+  for (const char of value) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (char === '<' && !inQuotes) inAngle = true;
+    else if (char === '>' && !inQuotes) inAngle = false;
+
+    if (char === ',' && !inQuotes && !inAngle) {
+      entries.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  entries.push(current);
+
+  return entries
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const angle = entry.match(/<([^>]*)>/);
+      if (!angle) {
+        return { name: null, address: entry.toLowerCase() };
+      }
+      const name = entry.replace(angle[0], '').trim().replace(/^"(.*)"$/, '$1').trim();
+      return { name: name || null, address: angle[1].trim().toLowerCase() };
+    });
+}
+
+export function parseMessageIds(value) {
+  return [...(value || '').matchAll(/<([^<>\s]+)>/g)].map((match) => match[1]);
+}
+
+// Parses a raw RFC 5322 message from bytes
+export function parseMimeMessage(bytes) {
+  const raw = bytesToBinary(bytes);
+  const { headerText } = splitHeaderAndBody(raw);
+  const headers = parseHeaders(headerText);
+  const header = (name) => {
+    const value = firstHeader(headers, name);
+    return value === null ? null : decodeHeaderValue(value);
+  };
+
+  const result = { text: null, html: null, attachments: [] };
+  walkEntity(raw, result);
+
+  return {
+    from: parseAddressList(header('from'))[0] || null,
+    to: parseAddressList(header('to')),
+    cc: parseAddressList(header('cc')),
+    subject: header('subject'),
+    date: header('date'),
+    messageId: parseMessageIds(header('message-id'))[0] || null,
+    inReplyTo: parseMessageIds(header('in-reply-to'))[0] || null,
+    references: parseMessageIds(header('references')),
+    text: result.text,
+    html: result.html,
+    attachments: result.attachments,
+  };
+}
@@ -0,0 +1,335 @@
+import { Resend } from 'resend';
+import { constantTimeCompare } from './crypto.js';
+import { loadTemplate, renderTemplate } from './email-templates.js';
+import { findSuppressed, normalizeEmail } from './suppressions.js';
+
+export const AUDIENCES = ['subscribers', 'donors', 'all'];
+
+// Resend accepts at most 100 messages per batch call. A single request sends a
+// few batches and leaves the rest pending, to stay inside the Workers
+// subrequest and CPU limits; calling send again carries on where it stopped.
+const RESEND_BATCH_SIZE = 100;
+const BATCHES_PER_REQUEST = 5;
+const LOCK_MINUTES = 5;
+const START_LEASE_MINUTES = 5;
+const PAGE_SIZE = 1000;
+const NEWSLETTER_TEMPLATE_ID = 'newsletter';
+const DEFAULT_UNSUBSCRIBE_URL = 'https://www.warmthly.org/unsubscribe';
+const SENDER = 'Warmthly <news@warmthly.org>';
+
+async function hmacHex(secret, message) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+  return Array.from(new Uint8Array(signature), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Unsubscribe links carry the address and an HMAC of it, so they work without
+// a login and can't be forged for other addresses
+export function signUnsubscribe(env, email) {
+  return hmacHex(env.UNSUBSCRIBE_SECRET, `unsubscribe:${normalizeEmail(email)}`);
+}
+
+export async function verifyUnsubscribe(env, email, signature) {
+  if (typeof email !== 'string' || typeof signature !== 'string') {
+    return false;
+  }
+  return constantTimeCompare(await signUnsubscribe(env, email), signature);
+}
+
+// The page people land on from the link in the email body
+export async function unsubscribeLink(env, email) {
+  const url = new URL(env.UNSUBSCRIBE_URL || DEFAULT_UNSUBSCRIBE_URL);
+  url.searchParams.set('email', normalizeEmail(email));
+  url.searchParams.set('sig', await signUnsubscribe(env, email));
+  return url.toString();
+}
+
+// The RFC 8058 one-click endpoint mail clients POST to from the List-Unsubscribe header
+async function oneClickUnsubscribeUrl(env, apiOrigin, email) {
+  const url = new URL('/api/unsubscribe', apiOrigin);
+  url.searchParams.set('email', normalizeEmail(email));
+  url.searchParams.set('sig', await signUnsubscribe(env, email));
+  return url.toString();
+}
+
+async function fetchAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+// Returns [{ email, name }] for an audience, one entry per address
+export async function resolveAudience(supabase, audience) {
+  const recipients = new Map();
+  const add = (email, name) => {
+    if (email && !recipients.has(normalizeEmail(email))) {
+      recipients.set(normalizeEmail(email), { email: normalizeEmail(email), name: name || null });
+    }
+  };
+
+  if (audience === 'subscribers' || audience === 'all') {
+    const subscribers = await fetchAll(() => supabase
+      .from('newsletter_subscribers')
+      .select('email, name')
+      .is('unsubscribed_at', null)
+      .order('id'));
+    subscribers.forEach((row) => add(row.email, row.name));
+  }
+
+  if (audience === 'donors' || audience === 'all') {
+    const donors = await fetchAll(() => supabase
+      .from('donations')
+      .select('donor_email, donor')
+      .in('status', ['succeeded', 'partially_refunded'])
+      .is('deleted_at', null)
+      .not('donor_email', 'is', null)
+      .order('id'));
+    donors.forEach((row) => add(row.donor_email, row.donor === 'Anonymous' ? null : row.donor));
+  }
+
+  return [...recipients.values()];
+}
+
+const RECIPIENT_INSERT_CHUNK = 500;
+
+// Moves a draft to `sending` and snapshots its audience as pending recipients,
+// then marks the recipients ready to send to. The start is leased: if the
+// request dies before the recipients are ready, a later call takes the campaign
+// over once the lease runs out and finishes the list, skipping recipients that
+// were already added. Returns null while another request holds the lease.
+// Suppressed addresses are filtered out batch by batch while sending.
+export async function startCampaign(supabase, campaign) {
+  const now = new Date();
+  const leaseUntil = new Date(now.getTime() + START_LEASE_MINUTES * 60 * 1000).toISOString();
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('newsletter_campaigns')
+    .update({ status: 'sending', start_claimed_until: leaseUntil })
+    .eq('id', campaign.id)
+    .eq('recipients_ready', false)
+    .or(`status.eq.draft,and(status.eq.sending,start_claimed_until.lt.${now.toISOString()})`)
+    .select('id');
+
+  if (claimError) throw claimError;
+  // Another request started it and is still adding the recipients
+  if (claimed.length === 0) {
+    return null;
+  }
+
+  try {
+    const recipients = await resolveAudience(supabase, campaign.audience);
+    for (let i = 0; i < recipients.length; i += RECIPIENT_INSERT_CHUNK) {
+      const rows = recipients.slice(i, i + RECIPIENT_INSERT_CHUNK).map((recipient) => ({
+        campaign_id: campaign.id,
+        email: recipient.email,
+        name: recipient.name,
+        status: 'pending',
+      }));
+      const { error } = await supabase
+        .from('newsletter_recipients')
+        .upsert(rows, { onConflict: 'campaign_id,email', ignoreDuplicates: true });
+      if (error) throw error;
+    }
+
+    // Only while the lease is still ours, so a request that was taken over
+    // can't mark the list ready while the new owner is still adding to it
+    const { data: ready, error: readyError } = await supabase
+      .from('newsletter_campaigns')
+      .update({ recipients_ready: true, start_claimed_until: null })
+      .eq('id', campaign.id)
+      .eq('start_claimed_until', leaseUntil)
+      .select();
+    if (readyError) throw readyError;
+    return ready[0] || null;
+  } catch (error) {
+    // Back to draft so it can be retried from a clean slate, unless another
+    // request has taken the start over meanwhile
+    const { data: reset } = await supabase
+      .from('newsletter_campaigns')
+      .update({ status: 'draft', start_claimed_until: null })
+      .eq('id', campaign.id)
+      .eq('start_claimed_until', leaseUntil)
+      .select('id');
+    if (reset?.length) {
+      await supabase.from('newsletter_recipients').delete().eq('campaign_id', campaign.id);
+    }
+    throw error;
+  }
+}
+
+function campaignCounts(recipients) {
+  const counts = { pending: 0, sending: 0, sent: 0, failed: 0, suppressed: 0 };
+  for (const { status } of recipients) {
+    counts[status] += 1;
+  }
+  return counts;
+}
+
+export async function countRecipients(supabase, campaignId) {
+  const rows = await fetchAll(() => supabase
+    .from('newsletter_recipients')
+    .select('status')
+    .eq('campaign_id', campaignId)
+    .order('id'));
+  return campaignCounts(rows);
+}
+
+async function markRecipients(supabase, ids, update) {
+  if (ids.length === 0) return;
+  const { error } = await supabase.from('newsletter_recipients').update(update).in('id', ids);
+  if (error) throw error;
+}
+
+async function sendBatch(env, resend, supabase, { campaign, template, apiOrigin, recipients }) {
+  // Checked again per batch, so people who unsubscribe mid-campaign are skipped
+  const suppressed = await findSuppressed(supabase, recipients.map((recipient) => recipient.email));
+  const toSend = recipients.filter((recipient) => !suppressed.has(recipient.email));
+
+  await markRecipients(
+    supabase,
+    recipients.filter((recipient) => suppressed.has(recipient.email)).map((recipient) => recipient.id),
+    { status: 'suppressed' }
+  );
+
+  if (toSend.length === 0) return;
+
+  const messages = await Promise.all(toSend.map(async (recipient) => {
+    const rendered = renderTemplate(template, {
+      content: campaign.html,
+      unsubscribeUrl: await unsubscribeLink(env, recipient.email),
+    });
+    return {
+      from: SENDER,
+      to: [recipient.email],
+      subject: campaign.subject,
+      html: rendered.html,
+      text: rendered.text,
+      headers: {
+        'List-Unsubscribe': `<${await oneClickUnsubscribeUrl(env, apiOrigin, recipient.email)}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+    };
+  }));
+
+  // From here the emails may go out even if this request dies before recording
+  // it, so they must not be picked up as pending again
+  await markRecipients(supabase, toSend.map((recipient) => recipient.id), { status: 'sending' });
+
+  const { data, error } = await resend.batch.send(messages);
+
+  if (error) {
+    console.error('[newsletter] Resend batch error:', { campaignId: campaign.id, error });
+    await markRecipients(supabase, toSend.map((recipient) => recipient.id), {
+      status: 'failed',
+      error: error.message || 'Resend rejected the batch',
+    });
+    return;
+  }
+
+  // Resend returns ids in the order the messages were sent
+  const sentAt = new Date().toISOString();
+  await Promise.all(toSend.map((recipient, index) => supabase
+    .from('newsletter_recipients')
+    .update({ status: 'sent', resend_id: data.data[index]?.id || null, sent_at: sentAt })
+    .eq('id', recipient.id)
+    .then(({ error: updateError }) => {
+      if (updateError) throw updateError;
+    })));
+}
+
+// Sends the next few batches of a campaign's pending recipients. The campaign
+// row is locked meanwhile so overlapping calls can't send the same batch twice,
+// and can't be locked before its recipients are ready, so it is never marked
+// sent with some of them still to be added. Returns the campaign with updated
+// counts; `busy: true` or `counts.pending` > 0 means call again.
+export async function sendCampaignBatches(env, supabase, campaign, { apiOrigin }) {
+  const now = new Date();
+  const { data: claimed, error: claimError } = await supabase
+    .from('newsletter_campaigns')
+    .update({ locked_until: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000).toISOString() })
+    .eq('id', campaign.id)
+    .eq('recipients_ready', true)
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select('id');
+
+  if (claimError) throw claimError;
+  if (claimed.length === 0) {
+    return { campaign, counts: await countRecipients(supabase, campaign.id), busy: true };
+  }
+
+  try {
+    // Holding the lock means no other request is sending, so anything still
+    // `sending` was left by one that stopped after Resend took the batch. Those
+    // people may have the email already; they are failed for review, not resent.
+    const { error: stalledError } = await supabase
+      .from('newsletter_recipients')
+      .update({ status: 'failed', error: 'Sending was interrupted; check Resend before sending again' })
+      .eq('campaign_id', campaign.id)
+      .eq('status', 'sending');
+    if (stalledError) throw stalledError;
+
+    const template = await loadTemplate(supabase, NEWSLETTER_TEMPLATE_ID);
+    const resend = new Resend(env.RESEND_API_KEY);
+
+    for (let batch = 0; batch < BATCHES_PER_REQUEST; batch++) {
+      const { data: recipients, error } = await supabase
+        .from('newsletter_recipients')
+        .select('id, email')
+        .eq('campaign_id', campaign.id)
+        .eq('status', 'pending')
+        .order('id')
+        .limit(RESEND_BATCH_SIZE);
+
+      if (error) throw error;
+      if (recipients.length === 0) break;
+
+      await sendBatch(env, resend, supabase, { campaign, template, apiOrigin, recipients });
+    }
+
+    const counts = await countRecipients(supabase, campaign.id);
+    const update = { locked_until: null };
+    if (counts.pending === 0) {
+      update.status = 'sent';
+      update.sent_at = new Date().toISOString();
+    }
+
+    const { data: updated, error: updateError } = await supabase
+      .from('newsletter_campaigns')
+      .update(update)
+      .eq('id', campaign.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+    return { campaign: updated, counts, busy: false };
+  } catch (error) {
+    await supabase.from('newsletter_campaigns').update({ locked_until: null }).eq('id', campaign.id);
+    throw error;
+  }
+}
+
+export function toCampaign(row, counts) {
+  return {
+    id: row.id,
+    subject: row.subject,
+    html: row.html,
+    audience: row.audience,
+    status: row.status,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    sentAt: row.sent_at,
+    ...(counts && { counts }),
+  };
+}
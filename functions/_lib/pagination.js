@@ -0,0 +1,105 @@
+import { ApiError, ErrorCode } from './http.js';
+import { isUuid } from './validation.js';
+
+// Opaque cursors for keyset pagination over (value, id) ordered lists, where
+// the value is a timestamp or a number.
+// The cursor is the position of the last row returned, base64url-encoded, so
+// clients pass it back as-is and rows inserted meanwhile don't shift pages.
+
+export function encodeCursor(row, column) {
+  return btoa(JSON.stringify([row[column], row.id]))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+// Timestamps as Postgres returns them, with up to microsecond precision
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.(\d{1,6}))?(Z|[+-]\d{2}:\d{2})$/;
+
+// Rewritten in UTC so only digits reach the filter. toISOString stops at
+// milliseconds, so the microseconds are carried over or rows sharing the
+// millisecond would be skipped.
+function normalizeTimestamp(value) {
+  const match = ISO_TIMESTAMP.exec(value);
+  const date = new Date(value);
+  if (!match || isNaN(date.getTime())) {
+    throw new Error('Malformed cursor');
+  }
+  const micros = (match[2] || '').padEnd(6, '0').substring(3);
+  return date.toISOString().replace('Z', `${micros}Z`);
+}
+
+// The cursor comes from the client and ends up in a PostgREST filter, so only
+// numbers, timestamps and integer or UUID ids are accepted
+export function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    if (!Number.isSafeInteger(id) && !isUuid(id)) {
+      throw new Error('Malformed cursor');
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return { value, id };
+    }
+    if (typeof value !== 'string') {
+      throw new Error('Malformed cursor');
+    }
+    return { value: normalizeTimestamp(value), id };
+  } catch {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Invalid cursor.');
+  }
+}
+
+export function parseLimit(searchParams, { defaultLimit, maxLimit }) {
+  if (!searchParams.has('limit')) {
+    return defaultLimit;
+  }
+
+  const limit = Number(searchParams.get('limit'));
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `limit must be a whole number between 1 and ${maxLimit}.`);
+  }
+  return limit;
+}
+
+// An optional date query parameter as an ISO timestamp, or undefined if absent
+export function parseDate(searchParams, name) {
+  const value = searchParams.get(name);
+  if (value === null) return undefined;
+  if (isNaN(Date.parse(value))) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `${name} must be a date.`);
+  }
+  return new Date(value).toISOString();
+}
+
+// Escapes LIKE wildcards so % and _ in user input are matched literally
+export function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+// Applies ordering by `column` (then id) and the cursor to a Supabase query.
+// Fetches one extra row so the caller can tell whether there is another page.
+export function paginate(query, { column, ascending = false, cursor, limit }) {
+  let paged = query
+    .order(column, { ascending })
+    .order('id', { ascending })
+    .limit(limit + 1);
+
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor);
+    const op = ascending ? 'gt' : 'lt';
+    // Quoted because timestamps contain characters PostgREST treats as syntax
+    paged = paged.or(`${column}.${op}."${value}",and(${column}.eq."${value}",id.${op}.${id})`);
+  }
+  return paged;
+}
+
+export function paginateDescending(query, options) {
+  return paginate(query, { ...options, ascending: false });
+}
+
+// Splits the extra row off and returns { items, nextCursor }
+export function pageResult(rows, { column, limit }) {
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  return { items, nextCursor: hasMore ? encodeCursor(items[items.length - 1], column) : null };
+}
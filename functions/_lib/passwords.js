@@ -0,0 +1,44 @@
+import { base64ToBytes, bytesToBase64, constantTimeCompare } from './crypto.js';
+
+// Workers' WebCrypto refuses PBKDF2 above 100,000 iterations. The count is
+// stored with each hash so it can be raised later without breaking old ones.
+const ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+export const MIN_PASSWORD_LENGTH = 12;
+
+// Verified against when the account doesn't exist, so a login for an unknown
+// email takes as long as one with a wrong password.
+const DUMMY_HASH = 'pbkdf2-sha256$100000$AAAAAAAAAAAAAAAAAAAAAA==$AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=';
+
+async function derive(password, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  return crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    HASH_BITS
+  );
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await derive(password, salt, ITERATIONS);
+  return `pbkdf2-sha256$${ITERATIONS}$${bytesToBase64(salt)}$${bytesToBase64(hash)}`;
+}
+
+export async function verifyPassword(password, storedHash) {
+  const [scheme, iterations, salt, hash] = (storedHash || DUMMY_HASH).split('$');
+  if (scheme !== 'pbkdf2-sha256') {
+    return false;
+  }
+
+  const derived = await derive(password, base64ToBytes(salt), parseInt(iterations, 10));
+  return constantTimeCompare(bytesToBase64(derived), hash) && Boolean(storedHash);
+}
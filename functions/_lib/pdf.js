@@ -0,0 +1,102 @@
+// Just enough of PDF 1.4 to lay out text documents such as receipts: A4
+// pages, the built-in Helvetica fonts and straight lines. Text outside
+// Latin-1 is replaced with '?', since the built-in fonts can't show it.
+
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+
+function toLatin1(text) {
+  return String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+}
+
+function escapeText(text) {
+  return toLatin1(text).replace(/[\\()]/g, (char) => `\\${char}`);
+}
+
+// Breaks text into lines of at most `maxChars`, at spaces where possible.
+// Helvetica averages about half its size per character, so callers can use
+// width / (size * 0.5).
+export function wrapText(text, maxChars) {
+  const lines = [];
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    const words = paragraph
+      .split(/\s+/)
+      .filter(Boolean)
+      .flatMap((word) => word.match(new RegExp(`.{1,${maxChars}}`, 'g')));
+
+    let line = '';
+    for (const word of words) {
+      if (line && line.length + 1 + word.length > maxChars) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+export function createPdfDocument({ title } = {}) {
+  const pages = [];
+  let current = null;
+
+  return {
+    addPage() {
+      current = [];
+      pages.push(current);
+    },
+
+    // `y` is measured from the bottom of the page, as in PDF itself
+    text(x, y, text, { size = 10, bold = false } = {}) {
+      current.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x} ${y} Td (${escapeText(text)}) Tj ET`);
+    },
+
+    line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+      current.push(`${width} w ${x1} ${y1} m ${x2} ${y2} l S`);
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    toBytes() {
+      // Objects 1-4 are fixed; each page then takes a page object and a content stream
+      const objects = [
+        `<< /Type /Catalog /Pages 2 0 R >>`,
+        `<< /Type /Pages /Kids [${pages.map((page, index) => `${5 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      ];
+
+      for (const [index, page] of pages.entries()) {
+        const content = page.join('\n');
+        objects.push(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+            + `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + index * 2} 0 R >>`,
+          `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+        );
+      }
+
+      if (title) {
+        objects.push(`<< /Title (${escapeText(title)}) /Producer (Warmthly) >>`);
+      }
+
+      let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+      const offsets = objects.map((object, index) => {
+        const offset = output.length;
+        output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = output.length;
+      output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R${title ? ` /Info ${objects.length} 0 R` : ''} >>\n`;
+      output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Uint8Array.from(output, (char) => char.charCodeAt(0));
+    },
+  };
+}
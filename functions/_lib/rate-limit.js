@@ -0,0 +1,156 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode } from './http.js';
+
+// Per-route limits, all in one place. Each counts requests per client IP over a
+// sliding window; routes opt in with `defineRoute({ rateLimit: '<name>' })`.
+export const RATE_LIMITS = {
+  login: { limit: 20, windowSeconds: 15 * 60 },
+  loginVerify: { limit: 20, windowSeconds: 15 * 60 },
+  // Account changes that check a TOTP code or the current password
+  accountVerify: { limit: 10, windowSeconds: 15 * 60 },
+  bootstrap: { limit: 5, windowSeconds: 60 * 60 },
+  reports: { limit: 5, windowSeconds: 60 * 60 },
+  reportStatus: { limit: 20, windowSeconds: 15 * 60 },
+  sendEmail: { limit: 30, windowSeconds: 60 * 60 },
+};
+
+// Failed logins lock the account for longer the more failures there have been
+// in the last day: 5 failures lock it for a minute, 10 for 15 minutes, and so on.
+const LOGIN_FAILURE_WINDOW_SECONDS = 24 * 60 * 60;
+const LOGIN_LOCKOUT_STEPS = [
+  { failures: 20, lockSeconds: 24 * 60 * 60 },
+  { failures: 15, lockSeconds: 60 * 60 },
+  { failures: 10, lockSeconds: 15 * 60 },
+  { failures: 5, lockSeconds: 60 },
+];
+
+// Keeps hits in this isolate's memory. Only for local development, where there
+// is a single isolate; set RATE_LIMIT_STORE=memory to use it.
+const memoryHits = new Map();
+
+const memoryStore = {
+  async hit(key, { windowSeconds, limit = Infinity }) {
+    const now = Date.now();
+    const hits = (memoryHits.get(key) || []).filter((time) => time > now - windowSeconds * 1000);
+    const allowed = hits.length < limit;
+    if (allowed) {
+      hits.push(now);
+    }
+    memoryHits.set(key, hits);
+    return { allowed, count: hits.length, oldest: hits[0] ?? null, newest: hits[hits.length - 1] ?? null };
+  },
+
+  async peek(key, { windowSeconds }) {
+    const now = Date.now();
+    const hits = (memoryHits.get(key) || []).filter((time) => time > now - windowSeconds * 1000);
+    return { count: hits.length, oldest: hits[0] ?? null, newest: hits[hits.length - 1] ?? null };
+  },
+
+  async clear(key) {
+    memoryHits.delete(key);
+  },
+};
+
+// Keeps hits in the rate_limit_hits table. The rate_limit_hit function counts
+// and records in one statement, so concurrent requests can't all slip under the limit.
+function supabaseStore(env) {
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  function toResult(row) {
+    return {
+      count: row.hits,
+      oldest: row.oldest ? new Date(row.oldest).getTime() : null,
+      newest: row.newest ? new Date(row.newest).getTime() : null,
+    };
+  }
+
+  return {
+    async hit(key, { windowSeconds, limit = null }) {
+      const { data, error } = await supabase
+        .rpc('rate_limit_hit', { p_key: key, p_window_seconds: windowSeconds, p_limit: limit })
+        .single();
+      if (error) throw error;
+      return { allowed: data.allowed, ...toResult(data) };
+    },
+
+    async peek(key, { windowSeconds }) {
+      const { data, error } = await supabase
+        .rpc('rate_limit_peek', { p_key: key, p_window_seconds: windowSeconds })
+        .single();
+      if (error) throw error;
+      return toResult(data);
+    },
+
+    async clear(key) {
+      const { error } = await supabase.from('rate_limit_hits').delete().eq('key', key);
+      if (error) throw error;
+    },
+  };
+}
+
+function getStore(env) {
+  return env.RATE_LIMIT_STORE === 'memory' ? memoryStore : supabaseStore(env);
+}
+
+export function clientIp(request) {
+  return request.headers.get('CF-Connecting-IP') || 'unknown';
+}
+
+function tooManyRequests(message, retryAfterMs) {
+  return new ApiError(ErrorCode.RATE_LIMITED, message, {
+    headers: { 'Retry-After': String(Math.max(1, Math.ceil(retryAfterMs / 1000))) },
+  });
+}
+
+// A broken limiter shouldn't take the site down with it, so store errors are
+// logged and the request is let through.
+async function safely(operation, fallback) {
+  try {
+    return await operation();
+  } catch (error) {
+    console.error('[rate-limit] Store error:', error);
+    return fallback;
+  }
+}
+
+export async function enforceRateLimit(request, env, name) {
+  const { limit, windowSeconds } = RATE_LIMITS[name];
+  const result = await safely(
+    () => getStore(env).hit(`${name}:ip:${clientIp(request)}`, { windowSeconds, limit }),
+    { allowed: true }
+  );
+
+  if (!result.allowed) {
+    throw tooManyRequests('Too many requests. Please try again later.', result.oldest + windowSeconds * 1000 - Date.now());
+  }
+}
+
+function loginFailureKey(email) {
+  return `login-failures:${email.trim().toLowerCase()}`;
+}
+
+// Throws while the account is locked out after too many failed logins
+export async function assertLoginAllowed(env, email) {
+  const { count, newest } = await safely(
+    () => getStore(env).peek(loginFailureKey(email), { windowSeconds: LOGIN_FAILURE_WINDOW_SECONDS }),
+    { count: 0 }
+  );
+
+  const step = LOGIN_LOCKOUT_STEPS.find((candidate) => count >= candidate.failures);
+  const lockedUntil = step ? newest + step.lockSeconds * 1000 : 0;
+
+  if (lockedUntil > Date.now()) {
+    throw tooManyRequests('Too many failed login attempts. Please try again later.', lockedUntil - Date.now());
+  }
+}
+
+export async function recordLoginFailure(env, email) {
+  await safely(
+    () => getStore(env).hit(loginFailureKey(email), { windowSeconds: LOGIN_FAILURE_WINDOW_SECONDS }),
+    null
+  );
+}
+
+export async function clearLoginFailures(env, email) {
+  await safely(() => getStore(env).clear(loginFailureKey(email)), null);
+}
@@ -0,0 +1,340 @@
+import { Resend } from 'resend';
+import { SETTLED_STATUSES } from './donations.js';
+import { escapeHtml } from './email-templates.js';
+import { ApiError, ErrorCode } from './http.js';
+import { bytesToBinary } from './mime.js';
+import { escapeLike } from './pagination.js';
+import { PAGE_HEIGHT, createPdfDocument, wrapText } from './pdf.js';
+import { DELIVERY_SUPPRESSION_REASONS, isSuppressed } from './suppressions.js';
+
+// Section 18A receipts let South African donors deduct donations from their
+// taxable income. Only rand donations are receipted: the receipt states a rand
+// amount, and foreign donors can't claim the deduction anyway.
+
+const SENDER = 'Warmthly <receipts@warmthly.org>';
+const ORGANISATION = 'Warmthly';
+const MARGIN = 56;
+const BOTTOM = 72;
+
+export const RECEIPT_COLUMNS = '*, items:donation_receipt_items(donation_id, amount, active, donation:donations(transaction_id, date, created_at))';
+
+export function formatReceiptNumber(number) {
+  return `18A-${String(number).padStart(6, '0')}`;
+}
+
+// Accepts 18A-000123 or 123
+export function parseReceiptNumber(params) {
+  const match = /^(?:18A-)?(\d{1,12})$/i.exec(params.number || '');
+  if (!match) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Receipt not found.');
+  }
+  return Number(match[1]);
+}
+
+// South Africa's year of assessment runs from 1 March to the end of February
+// and is named after the year it ends in, so 2026 is March 2025 - February 2026
+export function taxYearRange(taxYear) {
+  return {
+    from: new Date(`${taxYear - 1}-03-01T00:00:00+02:00`).toISOString(),
+    to: new Date(`${taxYear}-03-01T00:00:00+02:00`).toISOString(),
+  };
+}
+
+function formatRand(cents) {
+  const [rands, fraction] = (cents / 100).toFixed(2).split('.');
+  return `R ${rands.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${fraction}`;
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-ZA', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Africa/Johannesburg' });
+}
+
+function netAmount(donation) {
+  return donation.amount - (donation.refunded_amount || 0);
+}
+
+// Drops donations that can't be receipted: not settled, deleted, not in rand,
+// fully refunded, or already on a receipt that hasn't been voided
+export async function eligibleDonations(supabase, donations) {
+  const candidates = donations.filter((donation) => SETTLED_STATUSES.includes(donation.status)
+    && !donation.deleted_at
+    && donation.currency === 'ZAR'
+    && netAmount(donation) > 0);
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const { data: receipted, error } = await supabase
+    .from('donation_receipt_items')
+    .select('donation_id')
+    .eq('active', true)
+    .in('donation_id', candidates.map((donation) => donation.id));
+  if (error) throw error;
+
+  const receiptedIds = new Set(receipted.map((item) => item.donation_id));
+  return candidates.filter((donation) => !receiptedIds.has(donation.id));
+}
+
+const DONOR_FIELDS = {
+  name: { column: 'donor_name', maxLength: 200 },
+  idNumber: { column: 'donor_id_number', maxLength: 50 },
+  address: { column: 'donor_address', maxLength: 500 },
+};
+
+// Validates `{ name, idNumber, address }` from a request into receipt columns.
+// Fields that aren't given come from `fallback` (a receipt row), and all three
+// are required between them. With `partial`, only the given fields are returned.
+export function parseDonorDetails(input = {}, fallback = null, { partial = false } = {}) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'donor must be an object with name, idNumber and address.');
+  }
+
+  const details = {};
+  for (const [field, { column, maxLength }] of Object.entries(DONOR_FIELDS)) {
+    const value = input[field];
+    if (value !== undefined) {
+      if (typeof value !== 'string' || !value.trim() || value.trim().length > maxLength) {
+        throw new ApiError(ErrorCode.VALIDATION_ERROR, `donor.${field} must be between 1 and ${maxLength} characters.`);
+      }
+      details[column] = value.trim();
+    } else if (!partial) {
+      if (!fallback?.[column]) {
+        throw new ApiError(ErrorCode.VALIDATION_ERROR, `donor.${field} is required for a Section 18A receipt.`);
+      }
+      details[column] = fallback[column];
+    }
+  }
+  return details;
+}
+
+// The details a donor gave on their most recent receipt, so they needn't be collected again
+export async function previousDonorDetails(supabase, email) {
+  const { data, error } = await supabase
+    .from('donation_receipts')
+    .select('donor_name, donor_id_number, donor_address')
+    .ilike('donor_email', escapeLike(email))
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+
+  return data;
+}
+
+export async function fetchReceipt(supabase, number) {
+  const { data, error } = await supabase
+    .from('donation_receipts')
+    .select(RECEIPT_COLUMNS)
+    .eq('receipt_number', number)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[receipts] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch receipt.');
+  }
+
+  if (!data) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Receipt not found.');
+  }
+  return data;
+}
+
+export async function recordReceiptEvent(supabase, receiptId, { type, actorId, data = {} }) {
+  const { error } = await supabase
+    .from('donation_receipt_events')
+    .insert({ receipt_id: receiptId, type, actor_id: actorId, data });
+  if (error) throw error;
+}
+
+// The issued receipt a donation is on, or null
+export async function activeReceiptId(supabase, donationId) {
+  const { data, error } = await supabase
+    .from('donation_receipt_items')
+    .select('receipt_id')
+    .eq('donation_id', donationId)
+    .eq('active', true)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.receipt_id ?? null;
+}
+
+// Refunds made in the Yoco dashboard can't be refused like admin refunds are,
+// so the donation's receipt is flagged for someone to void and reissue. Only
+// the first refund is recorded; later ones are covered by the same flag.
+export async function flagRefundedReceipt(supabase, donationId, { amount, yocoRefundId }) {
+  const receiptId = await activeReceiptId(supabase, donationId);
+  if (!receiptId) return;
+
+  const now = new Date().toISOString();
+  const { data: flagged, error } = await supabase
+    .from('donation_receipts')
+    .update({ refund_flagged_at: now, updated_at: now })
+    .eq('id', receiptId)
+    .is('refund_flagged_at', null)
+    .select('id');
+  if (error) throw error;
+
+  if (flagged.length > 0) {
+    await recordReceiptEvent(supabase, receiptId, {
+      type: 'refunded',
+      actorId: null,
+      data: { donationId, amount, yocoRefundId },
+    });
+  }
+}
+
+// Renders the certificate with the particulars section 18A(2) requires
+export function renderReceiptPdf(env, receipt) {
+  const number = formatReceiptNumber(receipt.receipt_number);
+  const pdf = createPdfDocument({ title: `${ORGANISATION} Section 18A receipt ${number}` });
+  let y = 0;
+
+  const newPage = () => {
+    pdf.addPage();
+    y = PAGE_HEIGHT - MARGIN;
+    if (receipt.status === 'voided') {
+      pdf.text(MARGIN, y, 'VOID - this receipt has been cancelled and may not be used for tax purposes', { size: 11, bold: true });
+      y -= 24;
+    }
+  };
+
+  const write = (text, { size = 10, bold = false, gap = 4 } = {}) => {
+    if (y < BOTTOM) newPage();
+    pdf.text(MARGIN, y, text, { size, bold });
+    y -= size + gap;
+  };
+
+  // Cells of a table row, as [offset from the margin, text]
+  const row = (cells, { bold = false } = {}) => {
+    if (y < BOTTOM) newPage();
+    for (const [x, text] of cells) {
+      pdf.text(MARGIN + x, y, text, { size: 10, bold });
+    }
+    y -= 14;
+  };
+
+  const block = (label, value) => {
+    write(label, { bold: true, gap: 2 });
+    for (const line of wrapText(value, 90)) {
+      write(line);
+    }
+    y -= 6;
+  };
+
+  newPage();
+  write(`${ORGANISATION} - Donation Receipt`, { size: 18, bold: true, gap: 8 });
+  write('Issued in terms of section 18A of the Income Tax Act, 1962', { size: 11, gap: 16 });
+
+  write(`Receipt number: ${number}`, { bold: true });
+  write(`Date issued: ${formatDate(receipt.created_at)}`);
+  if (receipt.kind === 'annual') {
+    write(`Year of assessment: 1 March ${receipt.tax_year - 1} - 28/29 February ${receipt.tax_year}`);
+  }
+  y -= 12;
+
+  // Dashboard variables can't hold line breaks, so the address uses \n instead
+  block('Public benefit organisation', `${ORGANISATION}\n${env.RECEIPT_ORG_ADDRESS.replace(/\\n/g, '\n')}`);
+  block('PBO reference number', env.RECEIPT_PBO_NUMBER);
+  block('Donor', `${receipt.donor_name}\n${receipt.donor_address}`);
+  block('Donor identity or tax reference number', receipt.donor_id_number);
+
+  write('Donations received', { bold: true, gap: 6 });
+  row([[0, 'Date'], [160, 'Reference'], [380, 'Amount']], { bold: true });
+
+  const items = [...(receipt.items || [])].sort((a, b) => (
+    new Date(a.donation?.date || a.donation?.created_at) - new Date(b.donation?.date || b.donation?.created_at)
+  ));
+  for (const item of items) {
+    const date = item.donation?.date || item.donation?.created_at;
+    row([
+      [0, date ? formatDate(date) : ''],
+      [160, item.donation?.transaction_id || String(item.donation_id)],
+      [380, formatRand(item.amount)],
+    ]);
+  }
+
+  if (y < BOTTOM + 120) newPage();
+  pdf.line(MARGIN, y + 6, MARGIN + 483, y + 6);
+  y -= 8;
+  row([[0, 'Total donated in cash'], [380, formatRand(receipt.amount)]], { bold: true });
+  y -= 18;
+
+  const declaration = `${ORGANISATION} certifies that the donation(s) above were received and will be used `
+    + 'exclusively for carrying on the public benefit activities in Part II of the Ninth Schedule to the '
+    + 'Income Tax Act, 1962. No goods or services were given in exchange.';
+  for (const line of wrapText(declaration, 95)) {
+    write(line, { size: 9, gap: 3 });
+  }
+
+  return pdf.toBytes();
+}
+
+// Emails the receipt as a PDF attachment and records that it went. Donors
+// need receipts for their taxes, so unsubscribing from Warmthly email doesn't
+// stop them; returns false without sending only when the address has bounced
+// or complained.
+export async function emailReceipt(env, supabase, receipt, pdfBytes, { actorId }) {
+  if (await isSuppressed(supabase, receipt.donor_email, { reasons: DELIVERY_SUPPRESSION_REASONS })) {
+    return false;
+  }
+
+  const number = formatReceiptNumber(receipt.receipt_number);
+  const resend = new Resend(env.RESEND_API_KEY);
+  const { error } = await resend.emails.send({
+    from: SENDER,
+    to: [receipt.donor_email],
+    subject: `Your Section 18A tax receipt ${number}`,
+    html: `
+      <p>Dear ${escapeHtml(receipt.donor_name)},</p>
+      <p>Thank you for supporting Warmthly. Your Section 18A tax receipt for ${formatRand(receipt.amount)} is attached.</p>
+      <p>Keep it with your tax records; you can claim the donation as a deduction on your income tax return.</p>
+    `,
+    attachments: [{ filename: `${number}.pdf`, content: btoa(bytesToBinary(pdfBytes)) }],
+  });
+
+  if (error) {
+    console.error('[receipts] Resend API error:', error);
+    throw new ApiError(ErrorCode.UPSTREAM_ERROR, 'The receipt was saved but could not be emailed. Try again later.');
+  }
+
+  const now = new Date().toISOString();
+  const { error: updateError } = await supabase
+    .from('donation_receipts')
+    .update({ emailed_at: now })
+    .eq('id', receipt.id);
+  if (updateError) throw updateError;
+
+  await recordReceiptEvent(supabase, receipt.id, { type: 'emailed', actorId, data: { to: receipt.donor_email } });
+  return true;
+}
+
+export function toReceipt(row) {
+  return {
+    number: formatReceiptNumber(row.receipt_number),
+    kind: row.kind,
+    taxYear: row.tax_year,
+    status: row.status,
+    donor: {
+      email: row.donor_email,
+      name: row.donor_name,
+      idNumber: row.donor_id_number,
+      address: row.donor_address,
+    },
+    amount: row.amount,
+    currency: 'ZAR',
+    donations: row.items?.map((item) => ({
+      id: item.donation?.transaction_id || item.donation_id,
+      amount: item.amount,
+      date: item.donation?.date || item.donation?.created_at || null,
+    })),
+    voidReason: row.void_reason,
+    // A donation on the receipt was refunded after it was issued; void and reissue it
+    refundFlaggedAt: row.refund_flagged_at || null,
+    issuedBy: row.issued_by,
+    emailedAt: row.emailed_at,
+    voidedAt: row.voided_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
@@ -0,0 +1,270 @@
+import { createClient } from '@supabase/supabase-js';
+import { Resend } from 'resend';
+import { isSuppressedForEnv } from './suppressions.js';
+import { chargeCardToken } from './yoco.js';
+
+export const INTERVAL_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12,
+};
+
+// Days to wait before retrying after the 1st, 2nd and 3rd consecutive failure.
+// Once these are used up the subscription is marked failed and stops charging.
+const RETRY_DELAYS_DAYS = [1, 3, 7];
+export const LOCK_MINUTES = 10;
+const BATCH_SIZE = 50;
+const DEFAULT_CANCEL_URL = 'https://www.warmthly.org/recurring/cancel';
+const SENDER = 'The Warmthly Desk <desk@warmthly.org>';
+
+// Advances to the same day of the month `interval` months later, clamped to the
+// end of shorter months, so a donation made on the 31st doesn't drift to the 28th.
+export function nextChargeDate(from, interval, billingDay) {
+  const next = new Date(from);
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + INTERVAL_MONTHS[interval]);
+  const lastDayOfMonth = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(billingDay, lastDayOfMonth));
+  return next;
+}
+
+export function cancelLink(env, subscription) {
+  const url = new URL(env.RECURRING_CANCEL_URL || DEFAULT_CANCEL_URL);
+  url.searchParams.set('id', subscription.id);
+  url.searchParams.set('token', subscription.cancel_token);
+  return url.toString();
+}
+
+function formatAmount(subscription) {
+  return `${subscription.currency} ${(subscription.amount / 100).toFixed(2)}`;
+}
+
+async function sendDonorEmail(env, to, subject, html) {
+  if (!env.RESEND_API_KEY || !to) {
+    return;
+  }
+
+  if (await isSuppressedForEnv(env, to, 'recurring')) {
+    return;
+  }
+
+  try {
+    const resend = new Resend(env.RESEND_API_KEY);
+    const { error } = await resend.emails.send({ from: SENDER, to: [to], subject, html });
+    if (error) {
+      console.error('[recurring] Resend API error:', error);
+    }
+  } catch (error) {
+    console.error('[recurring] Error sending donor email:', error);
+  }
+}
+
+export async function sendConfirmationEmail(env, subscription) {
+  await sendDonorEmail(
+    env,
+    subscription.donor_email,
+    'Your recurring donation to Warmthly',
+    `
+      <p>Thank you for giving ${formatAmount(subscription)} ${subscription.interval} to Warmthly.</p>
+      <p>Your next donation will be taken on ${new Date(subscription.next_charge_at).toDateString()}.</p>
+      <p>You can <a href="${cancelLink(env, subscription)}">cancel your recurring donation</a> at any time.</p>
+    `
+  );
+}
+
+async function sendFailureEmail(env, subscription, willRetry) {
+  const nextStep = willRetry
+    ? `<p>We'll try again on ${new Date(subscription.next_charge_at).toDateString()}. If your card details have changed, please set up a new recurring donation.</p>`
+    : '<p>We\'ve tried several times without success, so we have stopped this recurring donation. You can set up a new one on our website whenever you like.</p>';
+
+  await sendDonorEmail(
+    env,
+    subscription.donor_email,
+    'We couldn\'t process your donation to Warmthly',
+    `
+      <p>We weren't able to take your ${subscription.interval} donation of ${formatAmount(subscription)}.</p>
+      ${nextStep}
+      ${willRetry ? `<p>You can <a href="${cancelLink(env, subscription)}">cancel your recurring donation</a> at any time.</p>` : ''}
+    `
+  );
+}
+
+// Marks a subscription as being charged so overlapping scheduler runs can't charge it twice
+async function claimSubscription(supabase, subscription, now) {
+  const { data, error } = await supabase
+    .from('recurring_donations')
+    .update({ locked_until: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000).toISOString() })
+    .eq('id', subscription.id)
+    .eq('status', 'active')
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Records the donation for a subscription's pending charge and clears it.
+// Returns false if the insert failed; the charge stays pending for the next run.
+async function recordPendingDonation(supabase, subscription) {
+  const { error: donationError } = await supabase.from('donations').insert({
+    transaction_id: subscription.pending_charge_id,
+    payment_id: subscription.pending_charge_id,
+    status: 'succeeded',
+    amount: subscription.amount,
+    currency: subscription.currency,
+    donor: subscription.donor_name || 'Anonymous',
+    donor_email: subscription.donor_email,
+    purpose: subscription.purpose || 'N/A',
+    category: subscription.category || 'General',
+    recurring_donation_id: subscription.id,
+    date: subscription.pending_charge_at,
+  });
+  // 23505: recorded by an earlier attempt that stopped before clearing the charge
+  if (donationError && donationError.code !== '23505') {
+    console.error('[recurring] Failed to record donation for charge', subscription.pending_charge_id, donationError);
+    return false;
+  }
+
+  const { error } = await supabase
+    .from('recurring_donations')
+    .update({ pending_charge_id: null, pending_charge_at: null })
+    .eq('id', subscription.id)
+    .eq('pending_charge_id', subscription.pending_charge_id);
+  if (error) throw error;
+  return true;
+}
+
+// Charges one subscription and records the outcome. The first charge, taken
+// while the donor is still on the page, fails immediately instead of retrying.
+export async function chargeSubscription(env, supabase, subscription, { initial = false } = {}) {
+  const now = new Date();
+  const result = await chargeCardToken(env, {
+    token: subscription.card_token,
+    amount: subscription.amount,
+    currency: subscription.currency,
+    idempotencyKey: `recurring-${subscription.id}-${subscription.next_charge_at}-${subscription.failed_attempts}`,
+    metadata: { recurringDonationId: String(subscription.id) },
+  });
+
+  if (result.success) {
+    // The charge is saved with the schedule change first, so a failed donation
+    // insert below is retried by the next run rather than lost
+    const { data, error } = await supabase
+      .from('recurring_donations')
+      .update({
+        next_charge_at: nextChargeDate(now, subscription.interval, subscription.billing_day).toISOString(),
+        last_charged_at: now.toISOString(),
+        failed_attempts: 0,
+        last_error: null,
+        locked_until: null,
+        pending_charge_id: result.chargeId,
+        pending_charge_at: now.toISOString(),
+      })
+      .eq('id', subscription.id)
+      .select()
+      .single();
+    if (error) throw error;
+
+    const recorded = await recordPendingDonation(supabase, data);
+    return { success: true, recorded, subscription: data };
+  }
+
+  const failedAttempts = subscription.failed_attempts + 1;
+  const willRetry = !initial && failedAttempts <= RETRY_DELAYS_DAYS.length;
+  const update = {
+    failed_attempts: failedAttempts,
+    last_error: result.message,
+    locked_until: null,
+  };
+
+  if (willRetry) {
+    update.next_charge_at = new Date(now.getTime() + RETRY_DELAYS_DAYS[failedAttempts - 1] * 24 * 60 * 60 * 1000).toISOString();
+  } else {
+    update.status = 'failed';
+  }
+
+  const { data, error } = await supabase
+    .from('recurring_donations')
+    .update(update)
+    .eq('id', subscription.id)
+    .select()
+    .single();
+  if (error) throw error;
+
+  if (!initial) {
+    await sendFailureEmail(env, data, willRetry);
+  }
+
+  return { success: false, message: result.message, subscription: data };
+}
+
+// Retries donation inserts that failed after the card was charged
+async function recordPendingDonations(supabase, summary) {
+  const { data: pending, error } = await supabase
+    .from('recurring_donations')
+    .select('*')
+    .not('pending_charge_id', 'is', null)
+    .limit(BATCH_SIZE);
+  if (error) throw error;
+
+  for (const subscription of pending) {
+    try {
+      if (await recordPendingDonation(supabase, subscription)) {
+        summary.recorded++;
+        continue;
+      }
+    } catch (error) {
+      console.error('[recurring] Error recording donation for subscription', subscription.id, error);
+    }
+    summary.unrecorded++;
+  }
+}
+
+// Entry point for the scheduler: records donations for earlier charges that
+// are still missing one, then charges every active subscription that is due
+export async function runDueSubscriptions(env) {
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const now = new Date();
+  const summary = { due: 0, charged: 0, failed: 0, skipped: 0, recorded: 0, unrecorded: 0 };
+
+  await recordPendingDonations(supabase, summary);
+
+  const { data: due, error } = await supabase
+    .from('recurring_donations')
+    .select('*')
+    .eq('status', 'active')
+    .lte('next_charge_at', now.toISOString())
+    // Not charged again while an earlier payment still has no donation row
+    .is('pending_charge_id', null)
+    .order('next_charge_at', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) throw error;
+
+  summary.due = due.length;
+
+  for (const subscription of due) {
+    try {
+      const claimed = await claimSubscription(supabase, subscription, now);
+      if (!claimed) {
+        summary.skipped++;
+        continue;
+      }
+
+      const result = await chargeSubscription(env, supabase, claimed);
+      if (result.success) {
+        summary.charged++;
+        if (!result.recorded) summary.unrecorded++;
+      } else {
+        summary.failed++;
+      }
+    } catch (error) {
+      // The claim expires by itself; the idempotency key stops the retry from charging the card twice
+      console.error('[recurring] Error charging subscription', subscription.id, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
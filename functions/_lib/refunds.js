@@ -0,0 +1,44 @@
+// Records a refund against a donation and recalculates how much of it has been
+// refunded. Refunds started from the admin endpoint are also reported back by
+// the Yoco webhook; the unique Yoco refund id stops them being counted twice.
+export async function recordRefund(supabase, donation, { amount, reason, refundedBy, yocoRefundId }) {
+  const { error: insertError } = await supabase.from('donation_refunds').insert({
+    donation_id: donation.id,
+    amount,
+    reason,
+    refunded_by: refundedBy,
+    yoco_refund_id: yocoRefundId,
+  });
+
+  if (insertError) {
+    if (insertError.code !== '23505') throw insertError;
+
+    // The webhook got there first; keep who refunded it and why
+    if (refundedBy) {
+      const { error: updateError } = await supabase
+        .from('donation_refunds')
+        .update({ reason, refunded_by: refundedBy })
+        .eq('yoco_refund_id', yocoRefundId);
+      if (updateError) throw updateError;
+    }
+  }
+
+  const { data: refunds, error: refundsError } = await supabase
+    .from('donation_refunds')
+    .select('amount')
+    .eq('donation_id', donation.id);
+  if (refundsError) throw refundsError;
+
+  const refundedAmount = refunds.reduce((total, refund) => total + refund.amount, 0);
+  const status = refundedAmount >= donation.amount ? 'refunded' : 'partially_refunded';
+
+  const { data, error } = await supabase
+    .from('donations')
+    .update({ refunded_amount: refundedAmount, status, updated_at: new Date().toISOString() })
+    .eq('id', donation.id)
+    .select()
+    .single();
+  if (error) throw error;
+
+  return data;
+}
@@ -0,0 +1,162 @@
+import { createClient } from '@supabase/supabase-js';
+import { Resend } from 'resend';
+import { DESK_SENDER } from './desk-email.js';
+import { loadTemplate, renderTemplate } from './email-templates.js';
+import { ApiError, ErrorCode } from './http.js';
+import { isSuppressed } from './suppressions.js';
+
+export const REPORT_TYPES = ['media', 'concern', 'admin', 'other'];
+export const REPORT_STATUSES = ['new', 'triaged', 'in_progress', 'resolved', 'dismissed'];
+
+export const REPORT_TYPE_LABELS = {
+  media: 'Media Inquiry',
+  concern: 'Concern or Complaint',
+  admin: 'Administrative Issue',
+  other: 'Other',
+};
+
+// What reporters see when they look a report up; internal steps of the workflow are not exposed
+const PUBLIC_STATUSES = {
+  new: 'Received',
+  triaged: 'Under review',
+  in_progress: 'Under review',
+  resolved: 'Resolved',
+  dismissed: 'Closed',
+};
+
+// References look like WR-7KQ2-M9XD. The alphabet leaves out 0/O and 1/I so
+// they can be read out over the phone.
+const REFERENCE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const REFERENCE_PATTERN = /^WR-[2-9A-HJ-NP-Z]{4}-[2-9A-HJ-NP-Z]{4}$/;
+
+export function generateReference() {
+  const chars = [...crypto.getRandomValues(new Uint8Array(8))]
+    .map((byte) => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]);
+  return `WR-${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+// Accepts references typed in lower case or without the dashes; returns null if it can't be one
+export function normalizeReference(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const compact = value.toUpperCase().replace(/[\s-]/g, '').replace(/^WR/, '');
+  const reference = `WR-${compact.slice(0, 4)}-${compact.slice(4)}`;
+  return REFERENCE_PATTERN.test(reference) ? reference : null;
+}
+
+export function parseReportId(params) {
+  if (!/^\d+$/.test(params.id)) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Report not found.');
+  }
+  return Number(params.id);
+}
+
+export async function fetchReport(supabase, id) {
+  const { data, error } = await supabase
+    .from('reports')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[reports] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch report.');
+  }
+
+  if (!data) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Report not found.');
+  }
+  return data;
+}
+
+// Appends to a report's history. `type` is one of status_change, assignment,
+// note or reply; `data` holds the details of the change (e.g. { from, to }).
+export async function recordReportEvent(supabase, reportId, { type, actorId, body = null, data = {} }) {
+  const { data: event, error } = await supabase
+    .from('report_events')
+    .insert({ report_id: reportId, type, actor_id: actorId, body, data })
+    .select('*')
+    .single();
+  if (error) throw error;
+
+  return event;
+}
+
+// Any change to the case, including a note or reply, counts as an update
+export async function touchReport(supabase, reportId) {
+  const { error } = await supabase
+    .from('reports')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', reportId);
+  if (error) throw error;
+}
+
+export function toReport(row) {
+  return {
+    id: row.id,
+    reference: row.reference,
+    type: row.type,
+    status: row.status,
+    name: row.name,
+    email: row.email,
+    message: row.message,
+    assignedTo: row.assigned_to,
+    spam: row.spam,
+    spamReasons: row.spam_reasons,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export function toReportEvent(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    actorId: row.actor_id,
+    body: row.body,
+    data: row.data,
+    createdAt: row.created_at,
+  };
+}
+
+// The reporter's view: no assignee, notes or replies
+export function toPublicReport(row) {
+  return {
+    reference: row.reference,
+    type: row.type,
+    status: PUBLIC_STATUSES[row.status] || PUBLIC_STATUSES.new,
+    submittedAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Emails the reporter their reference, from the report-acknowledgement template.
+// Failures are logged rather than thrown: the report itself has been stored.
+export async function sendReportAcknowledgement(env, { name, email, reference }) {
+  if (!env.RESEND_API_KEY || !env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) {
+    return;
+  }
+
+  try {
+    const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+    if (await isSuppressed(supabase, email)) {
+      return;
+    }
+
+    const message = renderTemplate(await loadTemplate(supabase, 'report-acknowledgement'), { name, reference });
+    const resend = new Resend(env.RESEND_API_KEY);
+    const { error } = await resend.emails.send({
+      from: DESK_SENDER,
+      to: [email],
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+    });
+    if (error) {
+      console.error('[reports] Resend API error:', error);
+    }
+  } catch (error) {
+    console.error('[reports] Error sending report acknowledgement:', error);
+  }
+}
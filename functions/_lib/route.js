@@ -0,0 +1,66 @@
+import { ApiError, ErrorCode, isAllowedOrigin } from './http.js';
+import { authenticate, authorize } from './auth.js';
+import { enforceRateLimit } from './rate-limit.js';
+
+// Declares a route's policy in one place and returns its `onRequest` handler.
+//
+//   export const onRequest = defineRoute({ auth: true }, { GET: listThings });
+//
+// - `handlers` maps HTTP methods to functions receiving the Pages context;
+//   any other method gets a 405. A method that needs a different policy from
+//   the rest of the route can map to `{ handler, ...options }` instead, e.g.
+//   `GET: { handler: listThings, roles: ['owner'] }` next to a public POST.
+// - `origin: 'allowed'` (default) rejects requests from outside ALLOWED_ORIGINS;
+//   `origin: 'any'` is for server-to-server callers such as webhooks.
+// - `auth: true` requires an admin JWT from a live session; its claims end up in
+//   `context.data.user`.
+// - `roles: [...]` additionally limits the route to those admin roles (implies auth).
+// - `allowMfaSetup: true` also accepts tokens of admins who still have to enrol
+//   in 2FA; only the enrolment routes should set it.
+// - `rateLimit: '<name>'` limits requests per client IP using the matching
+//   entry in RATE_LIMITS (_lib/rate-limit.js); over the limit gets a 429.
+//
+// CORS headers and the error envelope are applied by functions/_middleware.js.
+export function defineRoute(routeOptions = {}, handlers) {
+  const methods = Object.keys(handlers);
+
+  return async function onRequest(context) {
+    const { request, env } = context;
+    context.data.allowedMethods = methods;
+
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { status: 204 });
+    }
+
+    const entry = handlers[request.method];
+    if (!entry) {
+      throw new ApiError(ErrorCode.METHOD_NOT_ALLOWED, 'Method Not Allowed', {
+        headers: { Allow: [...methods, 'OPTIONS'].join(', ') },
+      });
+    }
+
+    const { handler, ...methodOptions } = typeof entry === 'function' ? { handler: entry } : entry;
+    const {
+      origin = 'allowed',
+      auth = false,
+      roles,
+      allowMfaSetup = false,
+      rateLimit,
+    } = { ...routeOptions, ...methodOptions };
+
+    if (origin === 'allowed' && !isAllowedOrigin(request.headers.get('Origin') || '')) {
+      throw new ApiError(ErrorCode.ORIGIN_NOT_ALLOWED, 'Forbidden: Invalid origin');
+    }
+
+    if (rateLimit) {
+      await enforceRateLimit(request, env, rateLimit);
+    }
+
+    if (auth || roles) {
+      context.data.user = await authenticate(request, env, { allowMfaSetup });
+      authorize(context.data.user, roles);
+    }
+
+    return handler(context);
+  };
+}
@@ -0,0 +1,160 @@
+import { randomToken, sha256Hex } from './crypto.js';
+import { ApiError, ErrorCode } from './http.js';
+import { isUuid } from './validation.js';
+
+// Each login starts a session. Its id is the `jti` of every access token issued
+// for it, so revoking the session cuts those tokens off too. Refresh tokens look
+// like `<session id>.<secret>`; only a hash of the secret is stored, and it is
+// replaced every time the token is used.
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+export async function createSession(supabase, userId) {
+  const secret = randomToken();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const { data, error } = await supabase
+    .from('admin_sessions')
+    .insert({
+      user_id: userId,
+      refresh_token_hash: await sha256Hex(secret),
+      expires_at: expiresAt.toISOString(),
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('[sessions] Failed to create session:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to log in. Please try again.');
+  }
+
+  return { sessionId: data.id, refreshToken: `${data.id}.${secret}` };
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret, ...rest] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+  if (!isUuid(sessionId) || !secret || rest.length > 0) {
+    return null;
+  }
+  return { sessionId, secret };
+}
+
+// Swaps a refresh token for a new one. Presenting a token that has already been
+// swapped means it was copied, so the whole session is revoked.
+export async function rotateRefreshToken(supabase, refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new ApiError(ErrorCode.SESSION_REVOKED, 'Your session has ended. Please log in again.');
+  }
+
+  const { data: session, error } = await supabase
+    .from('admin_sessions')
+    .select('id, user_id, refresh_token_hash, expires_at, revoked_at')
+    .eq('id', parsed.sessionId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[sessions] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to refresh session.');
+  }
+
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    throw new ApiError(ErrorCode.SESSION_REVOKED, 'Your session has ended. Please log in again.');
+  }
+
+  const presentedHash = await sha256Hex(parsed.secret);
+  const secret = randomToken();
+
+  // Conditional on the old hash, so two requests can't both redeem the same token
+  const { data: rotated, error: updateError } = await supabase
+    .from('admin_sessions')
+    .update({ refresh_token_hash: await sha256Hex(secret), last_used_at: new Date().toISOString() })
+    .eq('id', session.id)
+    .eq('refresh_token_hash', presentedHash)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (updateError) {
+    console.error('[sessions] Supabase error:', updateError);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to refresh session.');
+  }
+
+  if (rotated.length === 0) {
+    console.error('[sessions] Refresh token reused, revoking session:', session.id);
+    await revokeSession(supabase, session.id);
+    throw new ApiError(ErrorCode.SESSION_REVOKED, 'Your session has ended. Please log in again.');
+  }
+
+  return { session, refreshToken: `${session.id}.${secret}` };
+}
+
+export async function isSessionActive(supabase, sessionId, userId) {
+  const { data, error } = await supabase
+    .from('admin_sessions')
+    .select('id')
+    .eq('id', sessionId)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) {
+    console.error('[sessions] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to check session.');
+  }
+  return Boolean(data);
+}
+
+export async function revokeSession(supabase, sessionId) {
+  const { error } = await supabase
+    .from('admin_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .is('revoked_at', null);
+
+  if (error) {
+    console.error('[sessions] Failed to revoke session:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to end session.');
+  }
+}
+
+// Ends the session a refresh token belongs to, if the token is still current
+export async function revokeRefreshToken(supabase, refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('admin_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', parsed.sessionId)
+    .eq('refresh_token_hash', await sha256Hex(parsed.secret))
+    .is('revoked_at', null);
+
+  if (error) {
+    console.error('[sessions] Failed to revoke session:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to end session.');
+  }
+}
+
+// Revokes every session a user has, optionally keeping the one making the request.
+// Returns how many were revoked.
+export async function revokeUserSessions(supabase, userId, { except } = {}) {
+  let query = supabase
+    .from('admin_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (except) {
+    query = query.neq('id', except);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    console.error('[sessions] Failed to revoke sessions:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to end sessions.');
+  }
+  return data.length;
+}
@@ -0,0 +1,64 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode } from './http.js';
+
+// Addresses that have unsubscribed. Every path that emails people outside the
+// organisation checks this list before sending.
+
+// Suppressions that mean mail can't or mustn't be delivered at all, as opposed
+// to opting out of marketing. Transactional mail like tax receipts checks only these.
+export const DELIVERY_SUPPRESSION_REASONS = ['bounced', 'complained'];
+
+export function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+// Returns the subset of `emails` that are suppressed, normalised. `reasons`
+// limits it to suppressions recorded for those reasons.
+export async function findSuppressed(supabase, emails, { reasons } = {}) {
+  const normalized = [...new Set(emails.map(normalizeEmail))];
+  if (normalized.length === 0) {
+    return new Set();
+  }
+
+  let query = supabase
+    .from('email_suppressions')
+    .select('email')
+    .in('email', normalized);
+  if (reasons) {
+    query = query.in('reason', reasons);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return new Set(data.map((row) => row.email));
+}
+
+export async function isSuppressed(supabase, email, options) {
+  return (await findSuppressed(supabase, [email], options)).size > 0;
+}
+
+// For send paths that only have `env`. Unlike isSuppressed, a lookup failure
+// counts as suppressed, since sending to someone who opted out is the worse mistake.
+export async function isSuppressedForEnv(env, email, context) {
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) {
+    return false;
+  }
+
+  try {
+    return await isSuppressed(createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY), email);
+  } catch (error) {
+    console.error(`[${context}] Failed to check email suppressions:`, error);
+    return true;
+  }
+}
+
+export async function suppressEmail(supabase, email, reason) {
+  const { error } = await supabase
+    .from('email_suppressions')
+    .upsert({ email: normalizeEmail(email), reason }, { onConflict: 'email', ignoreDuplicates: true });
+
+  if (error) {
+    console.error('[suppressions] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to update email preferences.');
+  }
+}
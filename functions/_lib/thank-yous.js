@@ -0,0 +1,257 @@
+import { createClient } from '@supabase/supabase-js';
+import { Resend } from 'resend';
+import { renderTemplate } from './email-templates.js';
+import { ZERO_DECIMAL_CURRENCIES } from './exchange-rates.js';
+import { findSuppressed, normalizeEmail } from './suppressions.js';
+
+// Thank-you emails for donations. A database trigger queues one per donation
+// (see migration 0018); sendDueThankYous sends the queue in batches, either
+// from the scheduler or straight after a donation comes in.
+
+const SENDER = 'Warmthly <hello@warmthly.org>';
+const DEFAULT_TEMPLATE_ID = 'donation-thank-you';
+const MAX_BATCH_SIZE = 100; // Resend's batch limit
+const BATCHES_PER_RUN = 5;
+const MAX_ATTEMPTS = 3;
+const CLAIM_MINUTES = 10;
+// Wait before retrying a failed send, times the attempts so far
+const RETRY_MINUTES = 15;
+
+export function formatDonationAmount(amount, currency) {
+  const major = ZERO_DECIMAL_CURRENCIES.includes(currency) ? amount : amount / 100;
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency, currencyDisplay: 'narrowSymbol' }).format(major);
+  } catch {
+    // Not a currency Intl knows
+    return `${currency} ${major.toFixed(2)}`;
+  }
+}
+
+function categoryTemplateId(category) {
+  const slug = (category || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug ? `${DEFAULT_TEMPLATE_ID}-${slug}` : DEFAULT_TEMPLATE_ID;
+}
+
+function templateVariables(donation) {
+  return {
+    donorName: donation.donor && donation.donor !== 'Anonymous' ? donation.donor : 'friend',
+    amount: formatDonationAmount(donation.amount, donation.currency),
+    purpose: donation.purpose && donation.purpose !== 'N/A' ? donation.purpose : '',
+    category: donation.category || 'General',
+    date: new Date(donation.date || donation.created_at).toLocaleDateString('en-ZA', {
+      day: 'numeric', month: 'long', year: 'numeric', timeZone: 'Africa/Johannesburg',
+    }),
+  };
+}
+
+// The default template and every per-category one, by id
+async function loadThankYouTemplates(supabase) {
+  const { data, error } = await supabase
+    .from('email_templates')
+    .select('id, name, subject, html, text')
+    .like('id', `${DEFAULT_TEMPLATE_ID}%`);
+  if (error) throw error;
+
+  return new Map(data.map((template) => [template.id, template]));
+}
+
+async function markThankYous(supabase, ids, update) {
+  if (ids.length === 0) return;
+  const { error } = await supabase.from('donation_thank_yous').update(update).in('id', ids);
+  if (error) throw error;
+}
+
+// Claims the next due rows for this run. Pending rows claimed by a run that
+// died are picked up again once the claim runs out; rows it had already handed
+// to Resend are `sending` and are left to failStalledSends. Rows waiting to be
+// retried hold a claim until their backoff has passed.
+async function claimBatch(supabase, { cutoff, batchSize }) {
+  const now = new Date();
+  const unclaimed = `claimed_until.is.null,claimed_until.lt.${now.toISOString()}`;
+
+  const { data: due, error } = await supabase
+    .from('donation_thank_yous')
+    .select('id')
+    .eq('status', 'pending')
+    .lte('created_at', cutoff)
+    .or(unclaimed)
+    .order('id')
+    .limit(batchSize);
+  if (error) throw error;
+  if (due.length === 0) return [];
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('donation_thank_yous')
+    .update({ claimed_until: new Date(now.getTime() + CLAIM_MINUTES * 60 * 1000).toISOString() })
+    .in('id', due.map((row) => row.id))
+    .eq('status', 'pending')
+    .or(unclaimed)
+    .select('id, donation_id, attempts');
+  if (claimError) throw claimError;
+  if (claimed.length === 0) return [];
+
+  const { data: donations, error: donationsError } = await supabase
+    .from('donations')
+    .select('*')
+    .in('id', claimed.map((row) => row.donation_id))
+    .is('deleted_at', null);
+  if (donationsError) throw donationsError;
+
+  const donationsById = new Map(donations.map((donation) => [donation.id, donation]));
+  return claimed.map((row) => ({ ...row, donation: donationsById.get(row.donation_id) }));
+}
+
+async function sendBatch(supabase, resend, templates, rows, summary) {
+  const suppressed = await findSuppressed(supabase, rows.map((row) => row.donation.donor_email));
+  const skipped = rows.filter((row) => suppressed.has(normalizeEmail(row.donation.donor_email)));
+  await markThankYous(supabase, skipped.map((row) => row.id), {
+    status: 'skipped',
+    last_error: 'The donor has unsubscribed from Warmthly email',
+    claimed_until: null,
+  });
+  summary.skipped += skipped.length;
+
+  const messages = [];
+  for (const row of rows.filter((candidate) => !skipped.includes(candidate))) {
+    const templateId = templates.has(categoryTemplateId(row.donation.category))
+      ? categoryTemplateId(row.donation.category)
+      : DEFAULT_TEMPLATE_ID;
+
+    try {
+      const template = templates.get(templateId);
+      if (!template) throw new Error(`Email template not found: ${templateId}`);
+      const rendered = renderTemplate(template, templateVariables(row.donation));
+      messages.push({ row, templateId, rendered });
+    } catch (error) {
+      // A broken template won't fix itself by retrying
+      console.error('[thank-yous] Failed to render thank-you:', { transactionId: row.donation.transaction_id, error });
+      await markThankYous(supabase, [row.id], {
+        status: 'failed',
+        template_id: templateId,
+        last_error: error.message,
+        claimed_until: null,
+      });
+      summary.failed++;
+    }
+  }
+
+  if (messages.length === 0) return;
+
+  // From here the email may go out even if this run dies before recording it,
+  // so the rows must not be claimable again
+  await markThankYous(supabase, messages.map(({ row }) => row.id), { status: 'sending' });
+
+  const { data, error } = await resend.batch.send(messages.map(({ row, rendered }) => ({
+    from: SENDER,
+    to: [row.donation.donor_email],
+    subject: rendered.subject,
+    html: rendered.html,
+    text: rendered.text,
+  })));
+
+  if (error) {
+    console.error('[thank-yous] Resend batch error:', error);
+    for (const { row, templateId } of messages) {
+      const attempts = row.attempts + 1;
+      const failed = attempts >= MAX_ATTEMPTS;
+      // Backed off so a short outage doesn't use up every attempt within one run
+      await markThankYous(supabase, [row.id], {
+        status: failed ? 'failed' : 'pending',
+        template_id: templateId,
+        attempts,
+        last_error: error.message || 'Resend rejected the batch',
+        claimed_until: failed ? null : new Date(Date.now() + attempts * RETRY_MINUTES * 60 * 1000).toISOString(),
+      });
+      summary[failed ? 'failed' : 'retrying']++;
+    }
+    return;
+  }
+
+  // Resend returns ids in the order the messages were sent
+  const sentAt = new Date().toISOString();
+  await Promise.all(messages.map(({ row, templateId }, index) => markThankYous(supabase, [row.id], {
+    status: 'sent',
+    template_id: templateId,
+    attempts: row.attempts + 1,
+    resend_id: data.data[index]?.id || null,
+    last_error: null,
+    claimed_until: null,
+    sent_at: sentAt,
+  })));
+  summary.sent += messages.length;
+}
+
+// Rows still `sending` after their claim ran out belong to a run that stopped
+// between Resend and recording the result. The donor may have been thanked, so
+// they are failed for review instead of being retried.
+async function failStalledSends(supabase, summary) {
+  const { data, error } = await supabase
+    .from('donation_thank_yous')
+    .update({
+      status: 'failed',
+      last_error: 'Sending was interrupted; check Resend before sending again',
+      claimed_until: null,
+    })
+    .eq('status', 'sending')
+    .lt('claimed_until', new Date().toISOString())
+    .select('id');
+  if (error) throw error;
+  summary.failed += data.length;
+}
+
+// Sends queued thank-yous that have waited at least THANK_YOU_DELAY_MINUTES
+// (default 0), THANK_YOU_BATCH_SIZE (default and at most 100) at a time.
+// Failed sends are retried on later runs, 15 minutes after the first failure
+// and 30 after the second, up to three attempts in all.
+export async function sendDueThankYous(env) {
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const resend = new Resend(env.RESEND_API_KEY);
+  const delayMinutes = Math.max(0, Number(env.THANK_YOU_DELAY_MINUTES) || 0);
+  const batchSize = Math.min(MAX_BATCH_SIZE, Math.max(1, Number(env.THANK_YOU_BATCH_SIZE) || MAX_BATCH_SIZE));
+  const cutoff = new Date(Date.now() - delayMinutes * 60 * 1000).toISOString();
+  const summary = { sent: 0, failed: 0, skipped: 0, retrying: 0 };
+
+  await failStalledSends(supabase, summary);
+  const templates = await loadThankYouTemplates(supabase);
+
+  for (let batch = 0; batch < BATCHES_PER_RUN; batch++) {
+    const rows = await claimBatch(supabase, { cutoff, batchSize });
+    if (rows.length === 0) break;
+
+    // Donations deleted (or soft-deleted as mistakes) since they were queued have no one to thank
+    const missing = rows.filter((row) => !row.donation);
+    await markThankYous(supabase, missing.map((row) => row.id), { status: 'skipped', last_error: 'Donation not found or deleted', claimed_until: null });
+    summary.skipped += missing.length;
+
+    await sendBatch(supabase, resend, templates, rows.filter((row) => row.donation), summary);
+  }
+
+  return summary;
+}
+
+// Without a delay, a donation is thanked as soon as it is recorded rather than
+// on the next scheduled run. Runs after the response, so it never holds up or
+// fails the caller.
+export function sendThankYousInBackground(env, waitUntil) {
+  if (!waitUntil || !env.RESEND_API_KEY || Number(env.THANK_YOU_DELAY_MINUTES) > 0) {
+    return;
+  }
+
+  waitUntil(sendDueThankYous(env).catch((error) => {
+    console.error('[thank-yous] Failed to send thank-yous:', error);
+  }));
+}
+
+export function toThankYou(row) {
+  return {
+    id: row.id,
+    transactionId: row.transaction_id,
+    status: row.status,
+    templateId: row.template_id,
+    attempts: row.attempts,
+    error: row.last_error,
+    resendId: row.resend_id,
+    createdAt: row.created_at,
+    sentAt: row.sent_at,
+  };
+}
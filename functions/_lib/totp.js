@@ -0,0 +1,111 @@
+import { constantTimeCompare } from './crypto.js';
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 30 second steps, 6 digits),
+// the defaults every authenticator app supports.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+const ISSUER = 'Warmthly';
+
+export function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+export function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return new Uint8Array(bytes);
+}
+
+export function generateSecret() {
+  return base32Encode(crypto.getRandomValues(new Uint8Array(SECRET_BYTES)));
+}
+
+export function otpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+export function currentCounter(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+async function hotp(secret, counter) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    base32Decode(secret),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+
+  const message = new DataView(new ArrayBuffer(8));
+  message.setUint32(0, Math.floor(counter / 2 ** 32));
+  message.setUint32(4, counter >>> 0);
+
+  const digest = new Uint8Array(await crypto.subtle.sign('HMAC', key, message.buffer));
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = ((digest[offset] & 0x7f) << 24)
+    | (digest[offset + 1] << 16)
+    | (digest[offset + 2] << 8)
+    | digest[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+// Returns the matching time step, or null. One step either side is accepted to
+// allow for clock drift; callers store the step and reject anything not newer
+// than the last one used, so a code can't be replayed.
+export async function verifyTotp(secret, code, { lastCounter = -1, now = Date.now() } = {}) {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) {
+    return null;
+  }
+
+  const counter = currentCounter(now);
+  for (const candidate of [counter - 1, counter, counter + 1]) {
+    if (candidate > lastCounter && constantTimeCompare(await hotp(secret, candidate), code.trim())) {
+      return candidate;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,48 @@
+import { base64ToBytes, bytesToBase64, constantTimeCompare } from './crypto.js';
+
+// Yoco and Resend both sign webhooks using the Standard Webhooks scheme:
+// base64(HMAC-SHA256(secret, `${webhook-id}.${webhook-timestamp}.${rawBody}`))
+// Resend sends the same headers with an `svix-` prefix.
+const SIGNATURE_TOLERANCE_SECONDS = 180;
+
+function webhookHeader(headers, name) {
+  return headers.get(`webhook-${name}`) || headers.get(`svix-${name}`);
+}
+
+// `rawBody` is the body exactly as received, as a string or as bytes
+export async function verifyWebhookSignature(secret, headers, rawBody) {
+  const id = webhookHeader(headers, 'id');
+  const timestamp = webhookHeader(headers, 'timestamp');
+  const signatureHeader = webhookHeader(headers, 'signature');
+
+  if (!id || !timestamp || !signatureHeader) {
+    return false;
+  }
+
+  const timestampSeconds = parseInt(timestamp, 10);
+  if (isNaN(timestampSeconds) || Math.abs(Date.now() / 1000 - timestampSeconds) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    base64ToBytes(secret.replace(/^whsec_/, '')),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+
+  const prefix = new TextEncoder().encode(`${id}.${timestamp}.`);
+  const body = typeof rawBody === 'string' ? new TextEncoder().encode(rawBody) : rawBody;
+  const message = new Uint8Array(prefix.length + body.length);
+  message.set(prefix);
+  message.set(body, prefix.length);
+
+  const expected = bytesToBase64(await crypto.subtle.sign('HMAC', key, message));
+
+  // The header may carry several space-separated "v1,<signature>" entries during secret rotation
+  return signatureHeader
+    .split(' ')
+    .map((entry) => entry.split(',')[1])
+    .some((signature) => constantTimeCompare(signature || '', expected));
+}
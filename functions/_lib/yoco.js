@@ -0,0 +1,91 @@
+const YOCO_CHARGES_URL = 'https://online.yoco.com/v1/charges/';
+
+// Charges a saved card token. Declines are an expected outcome for recurring
+// donations, so they are returned rather than thrown.
+export async function chargeCardToken(env, { token, amount, currency, idempotencyKey, metadata }) {
+  const response = await fetch(YOCO_CHARGES_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Auth-Secret-Key': env.YOCO_SECRET_KEY,
+      'Idempotency-Key': idempotencyKey,
+    },
+    body: JSON.stringify({
+      token,
+      amountInCents: amount,
+      currency,
+      metadata,
+    }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || data.status !== 'successful') {
+    return {
+      success: false,
+      message: data.displayMessage || data.errorMessage || `Yoco returned ${response.status}`,
+    };
+  }
+
+  return { success: true, chargeId: data.id };
+}
+
+const YOCO_CHECKOUTS_URL = 'https://payments.yoco.com/api/checkouts';
+const YOCO_REFUNDS_URL = 'https://online.yoco.com/v1/refunds/';
+
+// Looks up a checkout so callers can confirm it was paid, and for how much.
+// An unknown checkout comes back as `{ success: false, status: 404 }`.
+export async function fetchCheckout(env, checkoutId) {
+  const response = await fetch(`${YOCO_CHECKOUTS_URL}/${encodeURIComponent(checkoutId)}`, {
+    headers: { 'Authorization': `Bearer ${env.YOCO_SECRET_KEY}` },
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    return {
+      success: false,
+      status: response.status,
+      message: data.displayMessage || data.errorMessage || data.message || `Yoco returned ${response.status}`,
+    };
+  }
+
+  return { success: true, checkout: data };
+}
+
+// Refunds a donation with Yoco. One-off donations are refunded through their
+// checkout; recurring donations were charged directly, so they refund the charge.
+// A rejected refund is returned with Yoco's message rather than thrown.
+export async function refundDonation(env, donation, { amount, idempotencyKey }) {
+  const response = donation.recurring_donation_id
+    ? await fetch(YOCO_REFUNDS_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Auth-Secret-Key': env.YOCO_SECRET_KEY,
+        'Idempotency-Key': idempotencyKey,
+      },
+      body: JSON.stringify({ chargeId: donation.payment_id, amountInCents: amount }),
+    })
+    : await fetch(`${YOCO_CHECKOUTS_URL}/${encodeURIComponent(donation.transaction_id)}/refund`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${env.YOCO_SECRET_KEY}`,
+        'Idempotency-Key': idempotencyKey,
+      },
+      body: JSON.stringify({ amount }),
+    });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || (data.status && !['succeeded', 'successful', 'pending'].includes(data.status))) {
+    return {
+      success: false,
+      status: response.status,
+      message: data.displayMessage || data.errorMessage || data.message || `Yoco returned ${response.status}`,
+    };
+  }
+
+  return { success: true, refundId: data.refundId || data.id };
+}
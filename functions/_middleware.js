@@ -0,0 +1,33 @@
+import { ALLOWED_ORIGINS, ApiError, errorResponse, isAllowedOrigin } from './_lib/http.js';
+
+// Runs in front of every route: turns thrown errors into the JSON error
+// envelope and adds CORS headers. Per-route policy lives in _lib/route.js.
+export async function onRequest(context) {
+  const { request } = context;
+
+  let response;
+  try {
+    response = await context.next();
+  } catch (error) {
+    // Client errors are expected; anything server-side is worth a log line
+    if (!(error instanceof ApiError) || error.status >= 500) {
+      console.error(`[${new URL(request.url).pathname}] Request failed:`, error);
+    }
+    response = errorResponse(error);
+  }
+
+  const origin = request.headers.get('Origin') || '';
+  const methods = context.data.allowedMethods;
+
+  // Responses from fetch() have immutable headers, so copy before adding CORS
+  response = new Response(response.body, response);
+  response.headers.set('Access-Control-Allow-Origin', isAllowedOrigin(origin) ? origin : ALLOWED_ORIGINS[0]);
+  response.headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
+  response.headers.set('Access-Control-Expose-Headers', 'Retry-After, Content-Disposition');
+  response.headers.append('Vary', 'Origin');
+  if (methods) {
+    response.headers.set('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+  }
+
+  return response;
+}
@@ -0,0 +1,76 @@
+import { createClient } from '@supabase/supabase-js';
+import { signAccessToken } from '../../../_lib/auth.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../../_lib/http.js';
+import { generateRecoveryCodes } from '../../../_lib/mfa.js';
+import { defineRoute } from '../../../_lib/route.js';
+import { verifyTotp } from '../../../_lib/totp.js';
+
+// Confirms enrolment with a code from the app. Returns the recovery codes (shown
+// only this once) and a fresh token, since the old one may be limited to MFA setup.
+async function enableMfa({ request, env, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const body = await readJson(request);
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data: account, error: fetchError } = await supabase
+    .from('admin_users')
+    .select('id, email, name, role, totp_pending_secret, totp_enabled_at')
+    .eq('id', user.sub)
+    .single();
+
+  if (fetchError) {
+    console.error('[account/mfa] Supabase error:', fetchError);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to enable two-factor authentication.');
+  }
+
+  if (account.totp_enabled_at) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'Two-factor authentication is already enabled.');
+  }
+
+  if (!account.totp_pending_secret) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'Start two-factor setup before enabling it.');
+  }
+
+  const counter = await verifyTotp(account.totp_pending_secret, body.code);
+  if (counter === null) {
+    throw new ApiError(ErrorCode.INVALID_CREDENTIALS, 'Invalid verification code.');
+  }
+
+  const { data: enabled, error } = await supabase
+    .from('admin_users')
+    .update({
+      totp_secret: account.totp_pending_secret,
+      totp_pending_secret: null,
+      totp_enabled_at: new Date().toISOString(),
+      totp_last_counter: counter,
+    })
+    .eq('id', account.id)
+    .is('totp_enabled_at', null)
+    .select('id');
+
+  if (error) {
+    console.error('[account/mfa] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to enable two-factor authentication.');
+  }
+
+  if (enabled.length === 0) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'Two-factor authentication is already enabled.');
+  }
+
+  let recoveryCodes;
+  try {
+    recoveryCodes = await generateRecoveryCodes(supabase, account.id);
+  } catch (codesError) {
+    console.error('[account/mfa] Failed to create recovery codes:', codesError);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Two-factor authentication is on, but recovery codes could not be created. Please generate new ones.');
+  }
+
+  return json({
+    enabled: true,
+    recoveryCodes,
+    token: signAccessToken(env, account, { sessionId: user.jti }),
+  });
+}
+
+export const onRequest = defineRoute({ auth: true, allowMfaSetup: true, rateLimit: 'accountVerify' }, { POST: enableMfa });
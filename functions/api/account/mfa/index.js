@@ -0,0 +1,85 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../../_lib/http.js';
+import { verifySecondFactor } from '../../../_lib/mfa.js';
+import { defineRoute } from '../../../_lib/route.js';
+
+async function fetchAccount(supabase, userId) {
+  const { data, error } = await supabase
+    .from('admin_users')
+    .select('id, mfa_required, totp_secret, totp_enabled_at, totp_last_counter')
+    .eq('id', userId)
+    .single();
+
+  if (error) {
+    console.error('[account/mfa] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to load two-factor settings.');
+  }
+  return data;
+}
+
+async function getMfaStatus({ env, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const account = await fetchAccount(supabase, user.sub);
+
+  const { count, error } = await supabase
+    .from('admin_recovery_codes')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', user.sub)
+    .is('used_at', null);
+
+  if (error) {
+    console.error('[account/mfa] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to load two-factor settings.');
+  }
+
+  return json({
+    enabled: Boolean(account.totp_enabled_at),
+    required: Boolean(account.mfa_required),
+    recoveryCodesRemaining: count || 0,
+  });
+}
+
+// Turning 2FA off needs a current code, and isn't allowed once an owner has made it mandatory
+async function disableMfa({ request, env, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const body = await readJson(request);
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const account = await fetchAccount(supabase, user.sub);
+
+  if (!account.totp_enabled_at) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'Two-factor authentication is not enabled.');
+  }
+
+  if (account.mfa_required) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'Two-factor authentication is required for your account.');
+  }
+
+  if (!(await verifySecondFactor(supabase, account, { code: body.code, recoveryCode: body.recoveryCode }))) {
+    throw new ApiError(ErrorCode.INVALID_CREDENTIALS, 'Invalid verification code.');
+  }
+
+  const { error } = await supabase
+    .from('admin_users')
+    .update({ totp_secret: null, totp_pending_secret: null, totp_enabled_at: null, totp_last_counter: null })
+    .eq('id', account.id);
+
+  if (error) {
+    console.error('[account/mfa] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to disable two-factor authentication.');
+  }
+
+  const { error: codesError } = await supabase.from('admin_recovery_codes').delete().eq('user_id', account.id);
+  if (codesError) {
+    console.error('[account/mfa] Failed to delete recovery codes:', codesError);
+  }
+
+  return json({ enabled: false });
+}
+
+export const onRequest = defineRoute({ auth: true, allowMfaSetup: true }, {
+  GET: getMfaStatus,
+  DELETE: { handler: disableMfa, rateLimit: 'accountVerify' },
+});
@@ -0,0 +1,43 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../../_lib/http.js';
+import { generateRecoveryCodes, verifySecondFactor } from '../../../_lib/mfa.js';
+import { defineRoute } from '../../../_lib/route.js';
+
+// Replaces all recovery codes with a new set. Needs a current code from the app.
+async function regenerateRecoveryCodes({ request, env, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const body = await readJson(request);
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data: account, error: fetchError } = await supabase
+    .from('admin_users')
+    .select('id, totp_secret, totp_enabled_at, totp_last_counter')
+    .eq('id', user.sub)
+    .single();
+
+  if (fetchError) {
+    console.error('[account/mfa] Supabase error:', fetchError);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to generate recovery codes.');
+  }
+
+  if (!account.totp_enabled_at) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'Two-factor authentication is not enabled.');
+  }
+
+  if (!(await verifySecondFactor(supabase, account, { code: body.code }))) {
+    throw new ApiError(ErrorCode.INVALID_CREDENTIALS, 'Invalid verification code.');
+  }
+
+  let recoveryCodes;
+  try {
+    recoveryCodes = await generateRecoveryCodes(supabase, account.id);
+  } catch (error) {
+    console.error('[account/mfa] Failed to create recovery codes:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to generate recovery codes.');
+  }
+
+  return json({ recoveryCodes });
+}
+
+export const onRequest = defineRoute({ auth: true, rateLimit: 'accountVerify' }, { POST: regenerateRecoveryCodes });
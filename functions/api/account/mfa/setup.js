@@ -0,0 +1,33 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, requireEnv } from '../../../_lib/http.js';
+import { defineRoute } from '../../../_lib/route.js';
+import { generateSecret, otpauthUri } from '../../../_lib/totp.js';
+
+// Starts enrolment. The secret is held as pending until a code from the
+// authenticator app confirms it at /api/account/mfa/enable.
+async function setupMfa({ env, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const secret = generateSecret();
+
+  const { data, error } = await supabase
+    .from('admin_users')
+    .update({ totp_pending_secret: secret })
+    .eq('id', user.sub)
+    .is('totp_enabled_at', null)
+    .select('email');
+
+  if (error) {
+    console.error('[account/mfa] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to start two-factor setup.');
+  }
+
+  if (data.length === 0) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'Two-factor authentication is already enabled.');
+  }
+
+  return json({ secret, otpauthUri: otpauthUri(secret, data[0].email) });
+}
+
+export const onRequest = defineRoute({ auth: true, allowMfaSetup: true }, { POST: setupMfa });
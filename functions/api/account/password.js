@@ -0,0 +1,54 @@
+import { createClient } from '@supabase/supabase-js';
+import { validateNewPassword } from '../../_lib/admin-users.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../_lib/http.js';
+import { hashPassword, verifyPassword } from '../../_lib/passwords.js';
+import { defineRoute } from '../../_lib/route.js';
+import { revokeUserSessions } from '../../_lib/sessions.js';
+
+// Lets any signed-in admin change their own password. Their other sessions are
+// logged out; the one making the change stays signed in.
+async function changePassword({ request, env, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const body = await readJson(request);
+  const { currentPassword, newPassword } = body;
+
+  if (!currentPassword || typeof currentPassword !== 'string') {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Current password is required.');
+  }
+
+  validateNewPassword(newPassword);
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data: account, error: fetchError } = await supabase
+    .from('admin_users')
+    .select('id, password_hash')
+    .eq('id', user.sub)
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('[account/password] Supabase error:', fetchError);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to change password.');
+  }
+
+  if (!account || !(await verifyPassword(currentPassword, account.password_hash))) {
+    throw new ApiError(ErrorCode.INVALID_CREDENTIALS, 'Current password is incorrect.');
+  }
+
+  const { error } = await supabase
+    .from('admin_users')
+    .update({ password_hash: await hashPassword(newPassword), updated_at: new Date().toISOString() })
+    .eq('id', account.id);
+
+  if (error) {
+    console.error('[account/password] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to change password.');
+  }
+
+  await revokeUserSessions(supabase, account.id, { except: user.jti });
+
+  return json({ message: 'Password changed.' });
+}
+
+export const onRequest = defineRoute({ auth: true, rateLimit: 'accountVerify' }, { POST: changePassword });
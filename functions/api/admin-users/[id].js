@@ -0,0 +1,114 @@
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_USER_COLUMNS, assertOtherActiveOwner, toAdminUser, validateNewPassword } from '../../_lib/admin-users.js';
+import { ROLES } from '../../_lib/auth.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../_lib/http.js';
+import { hashPassword } from '../../_lib/passwords.js';
+import { defineRoute } from '../../_lib/route.js';
+import { revokeUserSessions } from '../../_lib/sessions.js';
+
+const MAX_NAME_LENGTH = 200;
+
+// Owners can rename, change the role of, disable/re-enable or reset the password of any admin,
+// require 2FA for them, or reset their 2FA if they've lost their authenticator
+async function updateAdminUser({ request, env, params }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const body = await readJson(request);
+  const { name, role, disabled, password, mfaRequired, resetMfa } = body;
+  const update = {};
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Name cannot be empty.');
+    }
+    update.name = name.trim().substring(0, MAX_NAME_LENGTH);
+  }
+
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) {
+      throw new ApiError(ErrorCode.VALIDATION_ERROR, `Invalid role. Must be one of: ${ROLES.join(', ')}.`);
+    }
+    update.role = role;
+  }
+
+  if (disabled !== undefined) {
+    if (typeof disabled !== 'boolean') {
+      throw new ApiError(ErrorCode.VALIDATION_ERROR, 'disabled must be true or false.');
+    }
+    update.disabled_at = disabled ? new Date().toISOString() : null;
+  }
+
+  if (password !== undefined) {
+    validateNewPassword(password);
+    update.password_hash = await hashPassword(password);
+  }
+
+  if (mfaRequired !== undefined) {
+    if (typeof mfaRequired !== 'boolean') {
+      throw new ApiError(ErrorCode.VALIDATION_ERROR, 'mfaRequired must be true or false.');
+    }
+    update.mfa_required = mfaRequired;
+  }
+
+  if (resetMfa !== undefined) {
+    if (resetMfa !== true) {
+      throw new ApiError(ErrorCode.VALIDATION_ERROR, 'resetMfa can only be true.');
+    }
+    Object.assign(update, { totp_secret: null, totp_pending_secret: null, totp_enabled_at: null, totp_last_counter: null });
+  }
+
+  if (Object.keys(update).length === 0) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Nothing to update.');
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('admin_users')
+    .select('id, role, disabled_at')
+    .eq('id', params.id)
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('[admin-users] Supabase error:', fetchError);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to update admin user.');
+  }
+
+  if (!existing) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Admin user not found.');
+  }
+
+  const losesOwner = existing.role === 'owner' && !existing.disabled_at
+    && ((update.role && update.role !== 'owner') || update.disabled_at);
+  if (losesOwner) {
+    await assertOtherActiveOwner(supabase, existing.id);
+  }
+
+  const { data, error } = await supabase
+    .from('admin_users')
+    .update({ ...update, updated_at: new Date().toISOString() })
+    .eq('id', existing.id)
+    .select(ADMIN_USER_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('[admin-users] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to update admin user.');
+  }
+
+  // Disabling an account or resetting its password logs it out everywhere
+  if (update.disabled_at || update.password_hash) {
+    await revokeUserSessions(supabase, existing.id);
+  }
+
+  if (resetMfa) {
+    const { error: codesError } = await supabase.from('admin_recovery_codes').delete().eq('user_id', existing.id);
+    if (codesError) {
+      console.error('[admin-users] Failed to delete recovery codes:', codesError);
+    }
+  }
+
+  return json(toAdminUser(data));
+}
+
+export const onRequest = defineRoute({ roles: ['owner'] }, { PATCH: updateAdminUser });
@@ -0,0 +1,33 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, requireEnv } from '../../../_lib/http.js';
+import { defineRoute } from '../../../_lib/route.js';
+import { revokeUserSessions } from '../../../_lib/sessions.js';
+
+// Logs an admin out everywhere, e.g. after a lost laptop. Their access tokens
+// stop working immediately and their refresh tokens can't be used again.
+async function revokeSessions({ env, params }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data: existing, error } = await supabase
+    .from('admin_users')
+    .select('id')
+    .eq('id', params.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[admin-users] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to revoke sessions.');
+  }
+
+  if (!existing) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Admin user not found.');
+  }
+
+  const revoked = await revokeUserSessions(supabase, existing.id);
+
+  return json({ revoked });
+}
+
+export const onRequest = defineRoute({ roles: ['owner'] }, { POST: revokeSessions });
@@ -0,0 +1,66 @@
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_USER_COLUMNS, toAdminUser, validateNewPassword } from '../../_lib/admin-users.js';
+import { constantTimeCompare } from '../../_lib/crypto.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../_lib/http.js';
+import { hashPassword } from '../../_lib/passwords.js';
+import { defineRoute } from '../../_lib/route.js';
+import { isValidEmail } from '../../_lib/validation.js';
+
+// Creates the first owner account. Only works while there are no admin users
+// at all, and needs the ADMIN_PASSWORD that used to be the shared login.
+async function bootstrapOwner({ request, env }) {
+  requireEnv(env, ['ADMIN_PASSWORD'], 'Admin password not configured.');
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const body = await readJson(request);
+  const { adminPassword, email, name, password } = body;
+
+  if (!constantTimeCompare(adminPassword || '', env.ADMIN_PASSWORD)) {
+    throw new ApiError(ErrorCode.INVALID_CREDENTIALS, 'Incorrect password');
+  }
+
+  if (!isValidEmail(email)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'A valid email address is required.');
+  }
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Name is required.');
+  }
+
+  validateNewPassword(password);
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { count, error: countError } = await supabase
+    .from('admin_users')
+    .select('id', { count: 'exact', head: true });
+
+  if (countError) {
+    console.error('[admin-users/bootstrap] Supabase error:', countError);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to create owner.');
+  }
+
+  if (count > 0) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'Admin users already exist. Ask an owner to create your account.');
+  }
+
+  const { data, error } = await supabase
+    .from('admin_users')
+    .insert({
+      email: email.trim().toLowerCase(),
+      name: name.trim(),
+      role: 'owner',
+      password_hash: await hashPassword(password),
+    })
+    .select(ADMIN_USER_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('[admin-users/bootstrap] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to create owner.');
+  }
+
+  return json(toAdminUser(data), 201);
+}
+
+export const onRequest = defineRoute({ rateLimit: 'bootstrap' }, { POST: bootstrapOwner });
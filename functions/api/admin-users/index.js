@@ -0,0 +1,73 @@
+import { createClient } from '@supabase/supabase-js';
+import { ADMIN_USER_COLUMNS, toAdminUser, validateNewPassword } from '../../_lib/admin-users.js';
+import { ROLES } from '../../_lib/auth.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../_lib/http.js';
+import { hashPassword } from '../../_lib/passwords.js';
+import { defineRoute } from '../../_lib/route.js';
+import { isValidEmail } from '../../_lib/validation.js';
+
+const MAX_NAME_LENGTH = 200;
+
+async function listAdminUsers({ env }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data, error } = await supabase
+    .from('admin_users')
+    .select(ADMIN_USER_COLUMNS)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('[admin-users] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch admin users.');
+  }
+
+  return json({ users: data.map(toAdminUser) });
+}
+
+async function createAdminUser({ request, env }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const body = await readJson(request);
+  const { email, name, role, password } = body;
+
+  if (!isValidEmail(email)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'A valid email address is required.');
+  }
+
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Name is required.');
+  }
+
+  if (!ROLES.includes(role)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `Invalid role. Must be one of: ${ROLES.join(', ')}.`);
+  }
+
+  validateNewPassword(password);
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data, error } = await supabase
+    .from('admin_users')
+    .insert({
+      email: email.trim().toLowerCase(),
+      name: name.trim().substring(0, MAX_NAME_LENGTH),
+      role,
+      password_hash: await hashPassword(password),
+    })
+    .select(ADMIN_USER_COLUMNS)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new ApiError(ErrorCode.DUPLICATE, 'An admin user with this email already exists.');
+    }
+    console.error('[admin-users] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to create admin user.');
+  }
+
+  return json(toAdminUser(data), 201);
+}
+
+export const onRequest = defineRoute({ roles: ['owner'] }, { GET: listAdminUsers, POST: createAdminUser });
@@ -1,9 +1,6 @@
-const allowedOrigins = [
-  'https://www.warmthly.org',
-  'https://mint.warmthly.org',
-  'https://post.warmthly.org',
-  'https://admin.warmthly.org',
-];
+import { fetchRates } from '../_lib/exchange-rates.js';
+import { ApiError, ErrorCode, json } from '../_lib/http.js';
+import { defineRoute } from '../_lib/route.js';
 
 const ALLOWED_CURRENCIES = [
   'USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'CHF', 'CNY', 'SEK', 'NZD',
@@ -12,121 +9,52 @@ const ALLOWED_CURRENCIES = [
   'AED', 'SAR', 'BGN', 'RON', 'HRK', 'ISK', 'KRW', 'VND', 'PKR', 'BDT',
 ];
 
-const API_TIMEOUT = 10000;
 const MAX_CONVERSION = 100000000;
 
-export async function onRequest(context) {
-  const { request, env } = context;
-
-  const origin = request.headers.get('Origin') || '';
-  const isAllowedOrigin = allowedOrigins.includes(origin);
-
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : allowedOrigins[0],
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
-  };
+async function convertCurrency({ request, env }) {
+  const url = new URL(request.url);
+  const { amount, from = 'USD', to = 'ZAR' } = Object.fromEntries(url.searchParams);
 
-  if (request.method === 'OPTIONS') {
-    return new Response(null, { headers: corsHeaders });
+  // Validate currency codes against whitelist
+  if (!ALLOWED_CURRENCIES.includes(from.toUpperCase())) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `Invalid source currency: ${from}`);
   }
-
-  if (request.method !== 'GET') {
-    return new Response('Method Not Allowed', { status: 405, headers: corsHeaders });
+  if (!ALLOWED_CURRENCIES.includes(to.toUpperCase())) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `Invalid target currency: ${to}`);
   }
 
-  try {
-    const url = new URL(request.url);
-    const { amount, from = 'USD', to = 'ZAR' } = Object.fromEntries(url.searchParams);
-
-    // Validate currency codes against whitelist
-    if (!ALLOWED_CURRENCIES.includes(from.toUpperCase())) {
-      return new Response(
-        JSON.stringify({ error: { message: `Invalid source currency: ${from}` } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
-    if (!ALLOWED_CURRENCIES.includes(to.toUpperCase())) {
-      return new Response(
-        JSON.stringify({ error: { message: `Invalid target currency: ${to}` } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
-
-    // Validate amount type and range
-    if (!amount || isNaN(Number(amount))) {
-      return new Response(
-        JSON.stringify({ error: { message: 'Amount must be a valid number' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
-
-    const amountNum = parseFloat(amount);
-    if (amountNum <= 0 || amountNum > MAX_CONVERSION) {
-      return new Response(
-        JSON.stringify({ error: { message: `Amount must be between 0 and ${MAX_CONVERSION}` } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
-
-    // Same currency - no conversion needed
-    if (from.toUpperCase() === to.toUpperCase()) {
-      return new Response(
-        JSON.stringify({
-          originalAmount: amountNum,
-          convertedAmount: amountNum,
-          from: from.toUpperCase(),
-          to: to.toUpperCase(),
-          rate: 1,
-          formattedOriginal: from.toUpperCase() === 'JPY' ? amountNum.toFixed(0) : (amountNum / 100).toFixed(2),
-          formattedConverted: from.toUpperCase() === 'JPY' ? amountNum.toFixed(0) : (amountNum / 100).toFixed(2),
-        }),
-        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
-
-    // Build API URL
-    const apiKey = env.EXCHANGE_RATE_API_KEY || 'free';
-    const apiUrl = apiKey === 'free'
-      ? `https://api.exchangerate-api.com/v4/latest/${encodeURIComponent(from.toUpperCase())}`
-      : `https://v6.exchangerate-api.com/v6/${apiKey}/latest/${encodeURIComponent(from.toUpperCase())}`;
-
-    // Fetch with timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
-
-    let response;
-    try {
-      response = await fetch(apiUrl, {
-        signal: controller.signal,
-      });
-      clearTimeout(timeoutId);
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-      if (fetchError.name === 'AbortError') {
-        console.error('[convert-currency] Request timeout');
-        return new Response(
-          JSON.stringify({ error: { message: 'Exchange rate API request timed out. Please try again.' } }),
-          { status: 504, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-        );
-      }
-      throw fetchError;
-    }
+  // Validate amount type and range
+  if (!amount || isNaN(Number(amount))) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Amount must be a valid number');
+  }
 
-    if (!response.ok) {
-      throw new Error(`Exchange rate API returned ${response.status}`);
-    }
+  const amountNum = parseFloat(amount);
+  if (amountNum <= 0 || amountNum > MAX_CONVERSION) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `Amount must be between 0 and ${MAX_CONVERSION}`);
+  }
 
-    // Parse response
-    const data = await response.json();
+  // Same currency - no conversion needed
+  if (from.toUpperCase() === to.toUpperCase()) {
+    return json({
+      originalAmount: amountNum,
+      convertedAmount: amountNum,
+      from: from.toUpperCase(),
+      to: to.toUpperCase(),
+      rate: 1,
+      formattedOriginal: from.toUpperCase() === 'JPY' ? amountNum.toFixed(0) : (amountNum / 100).toFixed(2),
+      formattedConverted: from.toUpperCase() === 'JPY' ? amountNum.toFixed(0) : (amountNum / 100).toFixed(2),
+      // Same shape as a conversion; no rate was looked up, so nothing can be stale
+      fetchedAt: new Date().toISOString(),
+      source: 'identity',
+      stale: false,
+    });
+  }
 
-    // Validate response structure
-    if (!data.rates || typeof data.rates !== 'object') {
-      throw new Error('Invalid response from exchange rate API');
-    }
+  const { rates, fetchedAt, source, stale } = await fetchRates(env, from.toUpperCase(), { context: 'convert-currency' });
 
+  try {
     // Get conversion rate
-    const rate = data.rates[to.toUpperCase()];
+    const rate = rates[to.toUpperCase()];
     if (!rate || typeof rate !== 'number') {
       throw new Error(`Conversion rate not found for ${to}`);
     }
@@ -143,28 +71,27 @@ export async function onRequest(context) {
     }
 
     // Format amounts
-    const formattedOriginal = from.toUpperCase() === 'JPY' 
-      ? originalAmount.toFixed(0) 
+    const formattedOriginal = from.toUpperCase() === 'JPY'
+      ? originalAmount.toFixed(0)
       : (originalAmount / 100).toFixed(2);
 
-    return new Response(
-      JSON.stringify({
-        originalAmount: amountNum,
-        convertedAmount: amountInZARCents,
-        from: from.toUpperCase(),
-        to: to.toUpperCase(),
-        rate,
-        formattedOriginal,
-        formattedConverted: (amountInZARCents / 100).toFixed(2),
-      }),
-      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
+    return json({
+      originalAmount: amountNum,
+      convertedAmount: amountInZARCents,
+      from: from.toUpperCase(),
+      to: to.toUpperCase(),
+      rate,
+      formattedOriginal,
+      formattedConverted: (amountInZARCents / 100).toFixed(2),
+      fetchedAt,
+      source,
+      // Every provider failed, so these are the last rates we had
+      stale,
+    });
   } catch (error) {
     console.error('[convert-currency] Error converting currency:', error);
-    return new Response(
-      JSON.stringify({ error: { message: 'Failed to convert currency' } }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
+    throw new ApiError(ErrorCode.UPSTREAM_ERROR, 'Failed to convert currency');
   }
 }
 
+export const onRequest = defineRoute({}, { GET: convertCurrency });
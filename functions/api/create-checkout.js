@@ -1,130 +1,125 @@
-const allowedOrigins = [
-  'https://www.warmthly.org',
-  'https://mint.warmthly.org',
-  'https://post.warmthly.org',
-  'https://admin.warmthly.org',
-];
-
-const ALLOWED_CURRENCIES = ['ZAR', 'USD', 'EUR', 'GBP'];
-const MIN_AMOUNT = 100; // R1.00 in cents
-const MAX_AMOUNT = 100000000; // R1,000,000.00 in cents
-
-export async function onRequest(context) {
-  const { request, env } = context;
-
-  const origin = request.headers.get('Origin') || '';
-  const isAllowedOrigin = allowedOrigins.includes(origin);
-
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : allowedOrigins[0],
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+import { createClient } from '@supabase/supabase-js';
+import {
+  MAX_CAMPAIGN_LENGTH,
+  MAX_CATEGORY_LENGTH,
+  MAX_DONOR_LENGTH,
+  MAX_PURPOSE_LENGTH,
+  validateAmount,
+  validateCurrency,
+  validateEmail,
+  validateText,
+} from '../_lib/donations.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../_lib/http.js';
+import { defineRoute } from '../_lib/route.js';
+
+// Where Yoco sends the donor back to, per requesting site. Origins without an
+// entry (e.g. admin) fall back to the main site.
+const RETURN_URLS = {
+  'https://www.warmthly.org': {
+    success: 'https://www.warmthly.org/payment-success',
+    cancel: 'https://www.warmthly.org/payment-cancelled',
+  },
+  'https://mint.warmthly.org': {
+    success: 'https://mint.warmthly.org/payment-success',
+    cancel: 'https://mint.warmthly.org/payment-cancelled',
+  },
+};
+const DEFAULT_RETURN_URLS = RETURN_URLS['https://www.warmthly.org'];
+
+async function createCheckout({ request, env }) {
+  const body = await readJson(request);
+  const { amount, currency, donorName, donorEmail, purpose, category, campaign } = body;
+
+  // Same rules as POST /donations, so a checkout never records what that would reject
+  const fields = {
+    amount: validateAmount(amount),
+    currency: validateCurrency(currency),
+    donorName: validateText(donorName, 'Donor name', MAX_DONOR_LENGTH),
+    donorEmail: validateEmail(donorEmail),
+    purpose: validateText(purpose, 'Purpose', MAX_PURPOSE_LENGTH),
+    category: validateText(category, 'Category', MAX_CATEGORY_LENGTH),
+    campaign: validateText(campaign, 'Campaign', MAX_CAMPAIGN_LENGTH),
   };
 
-  if (request.method === 'OPTIONS') {
-    return new Response(null, { headers: corsHeaders });
-  }
-
-  if (request.method !== 'POST') {
-    return new Response('Method Not Allowed', { status: 405, headers: corsHeaders });
+  const errors = Object.fromEntries(
+    Object.entries(fields).filter(([, field]) => field.error).map(([name, field]) => [name, field.error])
+  );
+  if (Object.keys(errors).length > 0) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, Object.values(errors)[0], { details: { fields: errors } });
   }
 
-  if (!isAllowedOrigin) {
-    return new Response('Forbidden: Invalid origin', { status: 403 });
-  }
-
-  try {
-    const body = await request.json();
-    const { amount, currency } = body;
-
-    // Validate required fields
-    if (amount === undefined || amount === null) {
-      return new Response(
-        JSON.stringify({ error: { message: 'Amount is required' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
-
-    if (!currency || typeof currency !== 'string') {
-      return new Response(
-        JSON.stringify({ error: { message: 'Currency is required' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
-
-    // Validate currency against whitelist
-    const normalizedCurrency = currency.toUpperCase();
-    if (!ALLOWED_CURRENCIES.includes(normalizedCurrency)) {
-      return new Response(
-        JSON.stringify({ error: { message: `Invalid currency. Allowed currencies: ${ALLOWED_CURRENCIES.join(', ')}` } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  const amountCents = fields.amount.value;
+  const normalizedCurrency = fields.currency.value;
 
-    // Validate amount type and range
-    const amountNum = typeof amount === 'number' ? amount : parseFloat(String(amount));
-    if (isNaN(amountNum) || !isFinite(amountNum)) {
-      return new Response(
-        JSON.stringify({ error: { message: 'Amount must be a valid number' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  const donation = {
+    donorName: fields.donorName.value,
+    donorEmail: fields.donorEmail.value,
+    purpose: fields.purpose.value,
+    category: fields.category.value,
+    campaign: fields.campaign.value,
+  };
 
-    // Amount must be in cents (integer)
-    const amountCents = Math.round(amountNum);
-    if (amountCents < MIN_AMOUNT || amountCents > MAX_AMOUNT) {
-      return new Response(
-        JSON.stringify({ error: { message: `Amount must be between ${MIN_AMOUNT} and ${MAX_AMOUNT} cents` } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  // Yoco echoes metadata back on the payment webhook; it only accepts string values
+  const metadata = Object.fromEntries(
+    Object.entries(donation).filter(([, value]) => value !== null)
+  );
+
+  const returnUrls = RETURN_URLS[request.headers.get('Origin')] || DEFAULT_RETURN_URLS;
+
+  requireEnv(env, ['YOCO_SECRET_KEY'], 'Payment service not configured');
+
+  const yocoResponse = await fetch('https://online.yoco.com/v1/checkout/', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${env.YOCO_SECRET_KEY}`
+    },
+    body: JSON.stringify({
+      amount: amountCents,
+      currency: normalizedCurrency,
+      success_url: returnUrls.success,
+      cancel_url: returnUrls.cancel,
+      metadata,
+    })
+  });
+
+  if (!yocoResponse.ok) {
+    const errorText = await yocoResponse.text();
+    console.error('[create-checkout] Yoco API error:', {
+      status: yocoResponse.status,
+      error: errorText
+    });
+    throw new ApiError(ErrorCode.UPSTREAM_ERROR, 'Failed to create checkout. Please try again.');
+  }
 
-    if (!env.YOCO_SECRET_KEY) {
-      console.error('[create-checkout] YOCO_SECRET_KEY not configured');
-      return new Response(
-        JSON.stringify({ error: { message: 'Payment service not configured' } }),
-        { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  const data = await yocoResponse.json();
 
-    const yocoResponse = await fetch('https://online.yoco.com/v1/checkout/', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${env.YOCO_SECRET_KEY}`
-      },
-      body: JSON.stringify({
+  // Record the checkout as a pending donation so the webhook settles an existing row.
+  // The webhook inserts the row itself if this fails, so the donor isn't blocked.
+  if (env.SUPABASE_URL && env.SUPABASE_SERVICE_KEY) {
+    try {
+      const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+      const { error: dbError } = await supabase.from('donations').insert({
+        transaction_id: data.id,
+        status: 'pending',
         amount: amountCents,
         currency: normalizedCurrency,
-        success_url: 'https://www.warmthly.org/payment-success',
-        cancel_url: 'https://www.warmthly.org/payment-cancelled'
-      })
-    });
-
-    if (!yocoResponse.ok) {
-      const errorText = await yocoResponse.text();
-      console.error('[create-checkout] Yoco API error:', {
-        status: yocoResponse.status,
-        error: errorText
+        donor: donation.donorName || 'Anonymous',
+        donor_email: donation.donorEmail,
+        purpose: donation.purpose || 'N/A',
+        category: donation.category || 'General',
+        campaign: donation.campaign,
+        date: new Date().toISOString(),
       });
-      return new Response(
-        JSON.stringify({ error: { message: 'Failed to create checkout. Please try again.' } }),
-        { status: yocoResponse.status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
+      if (dbError) {
+        console.error('[create-checkout] Failed to record pending donation:', dbError);
+      }
+    } catch (dbError) {
+      console.error('[create-checkout] Failed to record pending donation:', dbError);
     }
-
-    const data = await yocoResponse.json();
-    
-    return new Response(
-      JSON.stringify({ id: data.id }),
-      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
-  } catch (error) {
-    console.error('[create-checkout] Unexpected error:', error);
-    return new Response(
-      JSON.stringify({ error: { message: 'Internal Server Error' } }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
   }
+
+  return json({ id: data.id });
 }
 
+export const onRequest = defineRoute({}, { POST: createCheckout });
@@ -0,0 +1,115 @@
+import { createClient } from '@supabase/supabase-js';
+import {
+  fetchDonation,
+  parseDeleteReason,
+  parseDonationChanges,
+  toDonationChange,
+  toDonationRecord,
+} from '../../../_lib/donation-changes.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../../_lib/http.js';
+import { activeReceiptId } from '../../../_lib/receipts.js';
+import { defineRoute } from '../../../_lib/route.js';
+
+// A donation, deleted or not, with every correction made to it
+async function getDonation({ env, params }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const donation = await fetchDonation(supabase, params.id);
+
+  const { data: changes, error } = await supabase
+    .from('donation_changes')
+    .select('*')
+    .eq('donation_id', donation.id)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) {
+    console.error('[donations] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch donation history.');
+  }
+
+  return json({ ...toDonationRecord(donation), history: changes.map(toDonationChange) });
+}
+
+async function updateDonation({ request, env, params, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const body = await readJson(request);
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const donation = await fetchDonation(supabase, params.id);
+
+  if (donation.deleted_at) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'Deleted donations cannot be edited.');
+  }
+
+  const { changes, reason } = parseDonationChanges(body, donation);
+
+  const { data: updated, error } = await supabase.rpc('edit_donation', {
+    p_donation_id: donation.id,
+    p_changes: changes,
+    p_reason: reason,
+    p_changed_by: user.sub,
+  });
+
+  if (error) {
+    console.error('[donations] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to update donation.');
+  }
+
+  // Deleted by someone else since it was fetched
+  if (!updated?.id) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'Deleted donations cannot be edited.');
+  }
+
+  return json(toDonationRecord(updated));
+}
+
+// Soft delete: the row stays for the audit trail but drops out of donation
+// lists, totals and exports
+async function deleteDonation({ request, env, params, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const reason = parseDeleteReason(await readJson(request));
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const donation = await fetchDonation(supabase, params.id);
+
+  if (donation.deleted_at) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'This donation has already been deleted.');
+  }
+
+  // A receipt given to the donor must be voided first, so SARS records stay consistent
+  let receiptId;
+  try {
+    receiptId = await activeReceiptId(supabase, donation.id);
+  } catch (error) {
+    console.error('[donations] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to check donation receipts.');
+  }
+  if (receiptId) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'This donation is on a tax receipt. Void the receipt before deleting it.');
+  }
+
+  const { data: deleted, error } = await supabase.rpc('delete_donation', {
+    p_donation_id: donation.id,
+    p_reason: reason,
+    p_changed_by: user.sub,
+  });
+
+  if (error) {
+    console.error('[donations] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to delete donation.');
+  }
+
+  if (!deleted?.id) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'This donation has already been deleted.');
+  }
+
+  return json(toDonationRecord(deleted));
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'finance'] }, {
+  GET: getDonation,
+  PATCH: updateDonation,
+  DELETE: deleteDonation,
+});
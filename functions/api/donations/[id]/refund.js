@@ -0,0 +1,96 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../../_lib/http.js';
+import { activeReceiptId } from '../../../_lib/receipts.js';
+import { recordRefund } from '../../../_lib/refunds.js';
+import { defineRoute } from '../../../_lib/route.js';
+import { refundDonation } from '../../../_lib/yoco.js';
+
+const REFUNDABLE_STATUSES = ['succeeded', 'partially_refunded'];
+const MAX_REASON_LENGTH = 500;
+
+async function refund({ request, env, params, data: { user } }) {
+  requireEnv(env, ['YOCO_SECRET_KEY', 'SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Payment service not configured');
+
+  const body = await readJson(request);
+  const { amount, reason } = body;
+
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'A reason for the refund is required.');
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  // Donations are exposed by transaction ID everywhere else in the API
+  const { data: donation, error: dbError } = await supabase
+    .from('donations')
+    .select('*')
+    .eq('transaction_id', params.id)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (dbError) {
+    console.error('[donations/refund] Supabase error:', dbError);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch donation from database.');
+  }
+
+  if (!donation) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Donation not found.');
+  }
+
+  if (!REFUNDABLE_STATUSES.includes(donation.status)) {
+    throw new ApiError(ErrorCode.INVALID_STATE, `Donation cannot be refunded while it is ${donation.status}.`);
+  }
+
+  // The receipt would overstate the gift once refunded, so it has to go first
+  let receiptId;
+  try {
+    receiptId = await activeReceiptId(supabase, donation.id);
+  } catch (error) {
+    console.error('[donations/refund] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to check donation receipts.');
+  }
+  if (receiptId) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'This donation is on a tax receipt. Void the receipt before refunding it.');
+  }
+
+  // A missing amount refunds whatever hasn't been refunded yet
+  const refundable = donation.amount - (donation.refunded_amount || 0);
+  const refundAmount = amount === undefined || amount === null ? refundable : amount;
+
+  if (!Number.isInteger(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `Refund amount must be a whole number of cents between 1 and ${refundable}.`);
+  }
+
+  // Without a key from the client, a retry or double submit must still map to
+  // the same Yoco refund: the key only changes once a refund has been recorded
+  const idempotencyKey = request.headers.get('Idempotency-Key')
+    || `refund-${donation.id}-${donation.refunded_amount || 0}-${refundAmount}`;
+
+  const result = await refundDonation(env, donation, { amount: refundAmount, idempotencyKey });
+
+  if (!result.success) {
+    console.error('[donations/refund] Yoco rejected refund:', {
+      transactionId: donation.transaction_id,
+      status: result.status,
+      error: result.message,
+    });
+    throw new ApiError(ErrorCode.REFUND_REJECTED, `Yoco rejected the refund: ${result.message}`);
+  }
+
+  const updated = await recordRefund(supabase, donation, {
+    amount: refundAmount,
+    reason: reason.trim().substring(0, MAX_REASON_LENGTH),
+    refundedBy: user.sub,
+    yocoRefundId: result.refundId,
+  });
+
+  return json({
+    id: updated.transaction_id,
+    status: updated.status,
+    amount: updated.amount,
+    refundedAmount: updated.refunded_amount,
+    refundId: result.refundId,
+  });
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'finance'] }, { POST: refund });
@@ -0,0 +1,152 @@
+import { createClient } from '@supabase/supabase-js';
+import { donationBatches } from '../../_lib/donations.js';
+import { ZERO_DECIMAL_CURRENCIES, fetchRates, toZarCents } from '../../_lib/exchange-rates.js';
+import { ApiError, ErrorCode, requireEnv } from '../../_lib/http.js';
+import { parseDate } from '../../_lib/pagination.js';
+import { defineRoute } from '../../_lib/route.js';
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+};
+
+// Everything that was paid, including what has since been refunded
+const EXPORT_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+
+function major(amount, currency) {
+  if (amount === null || amount === undefined) return null;
+  return ZERO_DECIMAL_CURRENCIES.includes(currency) ? amount.toFixed(0) : (amount / 100).toFixed(2);
+}
+
+// The export's columns, always in this order whichever are selected. Amounts
+// are in major units (rands, dollars) as accounting software expects;
+// `net_amount_zar` converts the net amount at today's rates.
+const COLUMNS = {
+  transaction_id: (row) => row.transaction_id,
+  date: (row) => row.date || row.created_at,
+  status: (row) => row.status,
+  currency: (row) => row.currency,
+  amount: (row) => major(row.amount, row.currency),
+  refunded_amount: (row) => major(row.refunded_amount || 0, row.currency),
+  net_amount: (row) => major(row.amount - (row.refunded_amount || 0), row.currency),
+  net_amount_zar: (row, rates) => major(toZarCents(row.amount - (row.refunded_amount || 0), row.currency, rates), 'ZAR'),
+  donor: (row) => row.donor,
+  donor_email: (row) => row.donor_email,
+  category: (row) => row.category,
+  purpose: (row) => row.purpose,
+  campaign: (row) => row.campaign,
+  recurring: (row) => Boolean(row.recurring_donation_id),
+  payment_id: (row) => row.payment_id,
+};
+
+function parseColumns(searchParams) {
+  const requested = searchParams.get('columns');
+  if (!requested) {
+    return Object.keys(COLUMNS);
+  }
+
+  const names = requested.split(',').map((name) => name.trim());
+  const unknown = names.filter((name) => !Object.hasOwn(COLUMNS, name));
+  if (unknown.length > 0) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `Unknown columns: ${unknown.join(', ')}. Allowed columns: ${Object.keys(COLUMNS).join(', ')}`);
+  }
+  return Object.keys(COLUMNS).filter((name) => names.includes(name));
+}
+
+// Quotes where needed, and defuses values a spreadsheet would run as a formula
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatRow(format, columns, values) {
+  if (format === 'csv') {
+    return `${values.map(csvField).join(',')}\r\n`;
+  }
+  return `${JSON.stringify(Object.fromEntries(columns.map((name, index) => [name, values[index]])))}\n`;
+}
+
+// The whole donations ledger as CSV or JSON Lines, streamed in batches so it
+// isn't capped at 1000 rows. Query parameters: `format` (`csv`, the default, or
+// `jsonl`), `columns` (comma separated, see COLUMNS), `from` / `to` (dates) and
+// `category`. Rows are in the order donations were recorded.
+async function exportDonations({ request, env }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const { searchParams } = new URL(request.url);
+  const format = searchParams.get('format') || 'csv';
+  const from = parseDate(searchParams, 'from');
+  const to = parseDate(searchParams, 'to');
+  const category = searchParams.get('category');
+
+  if (!Object.hasOwn(FORMATS, format)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `format must be one of: ${Object.keys(FORMATS).join(', ')}.`);
+  }
+  const columns = parseColumns(searchParams);
+
+  // Fetched up front so a rates outage fails the request rather than the middle of the file
+  const { rates } = columns.includes('net_amount_zar')
+    ? await fetchRates(env, 'ZAR', { context: 'donations/export' })
+    : { rates: {} };
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const batches = donationBatches(supabase, {
+    columns: '*',
+    statuses: EXPORT_STATUSES,
+    from,
+    to,
+    category,
+  });
+  const encoder = new TextEncoder();
+
+  // Read the first batch before answering, so a database error can still be a proper 500
+  let next;
+  try {
+    next = await batches.next();
+  } catch (error) {
+    console.error('[donations/export] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch donations from database.');
+  }
+
+  const stream = new ReadableStream({
+    start(controller) {
+      if (format === 'csv') {
+        controller.enqueue(encoder.encode(`${columns.join(',')}\r\n`));
+      }
+    },
+
+    async pull(controller) {
+      try {
+        const { value: batch, done } = next || await batches.next();
+        next = null;
+        if (done) {
+          controller.close();
+          return;
+        }
+
+        const lines = batch.map((row) => formatRow(format, columns, columns.map((name) => COLUMNS[name](row, rates))));
+        controller.enqueue(encoder.encode(lines.join('')));
+      } catch (error) {
+        // The status has already been sent, so all we can do is cut the file short
+        console.error('[donations/export] Export failed part way:', error);
+        controller.error(error);
+      }
+    },
+  });
+
+  const filename = `warmthly-donations-${new Date().toISOString().substring(0, 10)}.${FORMATS[format].extension}`;
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'finance'] }, { GET: exportDonations });
@@ -0,0 +1,117 @@
+import { createClient } from '@supabase/supabase-js';
+import { SETTLED_STATUSES, toAirtableRecord, toDonation } from '../../_lib/donations.js';
+import { ApiError, ErrorCode, json, requireEnv } from '../../_lib/http.js';
+import { escapeLike, pageResult, paginate, parseDate, parseLimit } from '../../_lib/pagination.js';
+import { defineRoute } from '../../_lib/route.js';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+const MAX_SEARCH_LENGTH = 200;
+
+// Sort options and the column each pages by
+const SORTS = { date: 'date', amount: 'amount' };
+const FORMATS = ['native', 'airtable'];
+
+function parseAmount(searchParams, name) {
+  const value = searchParams.get(name);
+  if (value === null) return undefined;
+  const amount = Number(value);
+  if (!Number.isInteger(amount) || amount < 0) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `${name} must be a whole number of cents.`);
+  }
+  return amount;
+}
+
+function parseCurrencies(searchParams) {
+  const value = searchParams.get('currency');
+  if (!value) return [];
+  const currencies = value.split(',').map((currency) => currency.trim().toUpperCase());
+  if (currencies.some((currency) => !/^[A-Z]{3}$/.test(currency))) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'currency must be one or more three-letter currency codes.');
+  }
+  return currencies;
+}
+
+// For a case-insensitive "contains" match; % and _ in the search are taken literally
+function containsPattern(value) {
+  return `%${escapeLike(value.trim().substring(0, MAX_SEARCH_LENGTH))}%`;
+}
+
+// Settled donations, a page at a time. Query parameters:
+// - `cursor` / `limit`: the `nextCursor` from the previous page; up to 500 per page
+// - `from` / `to`: donation date range
+// - `currency`: one or more currency codes, comma separated
+// - `minAmount` / `maxAmount`: in cents, before refunds
+// - `donor`, `purpose`: case-insensitive partial matches
+// - `category`: exact match
+// - `sort`: `date` (default) or `amount`; `order`: `desc` (default) or `asc`
+// - `format`: `native` (default) or `airtable` for the `{ id, fields, createdTime }`
+//   records that GET /donations returns
+async function listDonations({ request, env }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_ANON_KEY'], 'Database not configured.');
+
+  const { searchParams } = new URL(request.url);
+  const limit = parseLimit(searchParams, { defaultLimit: DEFAULT_LIMIT, maxLimit: MAX_LIMIT });
+  const from = parseDate(searchParams, 'from');
+  const to = parseDate(searchParams, 'to');
+  const currencies = parseCurrencies(searchParams);
+  const minAmount = parseAmount(searchParams, 'minAmount');
+  const maxAmount = parseAmount(searchParams, 'maxAmount');
+  const donor = searchParams.get('donor');
+  const purpose = searchParams.get('purpose');
+  const category = searchParams.get('category');
+  const sort = searchParams.get('sort') || 'date';
+  const order = searchParams.get('order') || 'desc';
+  const format = searchParams.get('format') || 'native';
+
+  if (!Object.hasOwn(SORTS, sort)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `sort must be one of: ${Object.keys(SORTS).join(', ')}.`);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'order must be asc or desc.');
+  }
+  if (!FORMATS.includes(format)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `format must be one of: ${FORMATS.join(', ')}.`);
+  }
+  if (minAmount !== undefined && maxAmount !== undefined && minAmount > maxAmount) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'minAmount cannot be more than maxAmount.');
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY);
+
+  let query = supabase
+    .from('donations')
+    .select('*')
+    .in('status', SETTLED_STATUSES)
+    .is('deleted_at', null);
+
+  if (from) query = query.gte('date', from);
+  if (to) query = query.lt('date', to);
+  if (currencies.length > 0) query = query.in('currency', currencies);
+  if (minAmount !== undefined) query = query.gte('amount', minAmount);
+  if (maxAmount !== undefined) query = query.lte('amount', maxAmount);
+  if (donor) query = query.ilike('donor', containsPattern(donor));
+  if (purpose) query = query.ilike('purpose', containsPattern(purpose));
+  if (category) query = query.eq('category', category);
+
+  const column = SORTS[sort];
+  const { data, error } = await paginate(query, {
+    column,
+    ascending: order === 'asc',
+    cursor: searchParams.get('cursor'),
+    limit,
+  });
+
+  if (error) {
+    console.error('[donations] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch donations from database.');
+  }
+
+  const { items, nextCursor } = pageResult(data, { column, limit });
+
+  return format === 'airtable'
+    ? json({ records: items.map(toAirtableRecord), nextCursor })
+    : json({ donations: items.map(toDonation), nextCursor });
+}
+
+export const onRequest = defineRoute({}, { GET: listDonations });
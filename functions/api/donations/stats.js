@@ -0,0 +1,138 @@
+import { createClient } from '@supabase/supabase-js';
+import { SETTLED_STATUSES, donationBatches } from '../../_lib/donations.js';
+import { fetchRates, toZarCents } from '../../_lib/exchange-rates.js';
+import { ApiError, ErrorCode, json, requireEnv } from '../../_lib/http.js';
+import { parseDate } from '../../_lib/pagination.js';
+import { defineRoute } from '../../_lib/route.js';
+
+const INTERVALS = ['month', 'week'];
+
+// 2026-10 for months; ISO weeks (Monday start) as 2026-W42
+function periodKey(date, interval) {
+  if (interval === 'month') {
+    return date.toISOString().substring(0, 7);
+  }
+
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function median(sorted) {
+  if (sorted.length === 0) return 0;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function summarize(amounts) {
+  const sorted = [...amounts].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, amount) => sum + amount, 0);
+  return {
+    count: sorted.length,
+    total,
+    average: sorted.length ? Math.round(total / sorted.length) : 0,
+    median: median(sorted),
+  };
+}
+
+// Summarises each group of ZAR amounts, largest total first (periods in date order)
+function groupStats(donations, keyOf, name, { byKey = false } = {}) {
+  const groups = new Map();
+  for (const donation of donations) {
+    const key = keyOf(donation);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(donation.amountZar);
+  }
+
+  const rows = [...groups].map(([key, amounts]) => ({ [name]: key, ...summarize(amounts) }));
+  return byKey
+    ? rows.sort((a, b) => a[name].localeCompare(b[name]))
+    : rows.sort((a, b) => b.total - a.total);
+}
+
+async function fetchDonations(supabase, filters) {
+  const rows = [];
+  for await (const batch of donationBatches(supabase, {
+    ...filters,
+    columns: 'id, amount, refunded_amount, currency, category, purpose, date, created_at',
+    statuses: SETTLED_STATUSES,
+  })) {
+    rows.push(...batch);
+  }
+  return rows;
+}
+
+// Totals, counts, average and median gift, overall and grouped by category,
+// currency, purpose and month or week. Amounts are net of refunds and in ZAR
+// cents, converted at today's rates; `byCurrency` also gives each currency's
+// own total. Query parameters: `from` / `to` (dates), `category`, and
+// `interval` (`month`, the default, or `week`).
+async function donationStats({ request, env }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_ANON_KEY'], 'Database not configured.');
+
+  const { searchParams } = new URL(request.url);
+  const from = parseDate(searchParams, 'from');
+  const to = parseDate(searchParams, 'to');
+  const category = searchParams.get('category');
+  const interval = searchParams.get('interval') || 'month';
+
+  if (!INTERVALS.includes(interval)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `interval must be one of: ${INTERVALS.join(', ')}.`);
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY);
+
+  let rows;
+  try {
+    rows = await fetchDonations(supabase, { from, to, category });
+  } catch (error) {
+    console.error('[donations/stats] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch donations from database.');
+  }
+
+  // Only ask for rates when there is something to convert
+  const needsRates = rows.some((row) => row.currency !== 'ZAR');
+  const { rates } = needsRates ? await fetchRates(env, 'ZAR', { context: 'donations/stats' }) : { rates: {} };
+
+  const unconverted = new Set();
+  const donations = [];
+  for (const row of rows) {
+    const amount = row.amount - (row.refunded_amount || 0);
+    const amountZar = toZarCents(amount, row.currency, rates);
+    if (amountZar === null) {
+      unconverted.add(row.currency);
+      continue;
+    }
+    donations.push({ ...row, amount, amountZar, date: new Date(row.date || row.created_at) });
+  }
+
+  if (unconverted.size > 0) {
+    console.error('[donations/stats] No exchange rate for:', [...unconverted]);
+  }
+
+  const byCurrency = groupStats(donations, (donation) => donation.currency, 'currency').map((group) => ({
+    ...group,
+    originalTotal: donations
+      .filter((donation) => donation.currency === group.currency)
+      .reduce((sum, donation) => sum + donation.amount, 0),
+  }));
+
+  return json({
+    currency: 'ZAR',
+    from: from || null,
+    to: to || null,
+    category: category || null,
+    interval,
+    totals: summarize(donations.map((donation) => donation.amountZar)),
+    byCategory: groupStats(donations, (donation) => donation.category || 'General', 'category'),
+    byCurrency,
+    byPurpose: groupStats(donations, (donation) => donation.purpose || 'N/A', 'purpose'),
+    byPeriod: groupStats(donations, (donation) => periodKey(donation.date, interval), 'period', { byKey: true }),
+    // Currencies left out of every figure above because there was no rate for them
+    excludedCurrencies: [...unconverted],
+  });
+}
+
+export const onRequest = defineRoute({}, { GET: donationStats });
@@ -0,0 +1,18 @@
+import { createClient } from '@supabase/supabase-js';
+import { loadTemplate, renderTemplate } from '../../../_lib/email-templates.js';
+import { json, readJson, requireEnv } from '../../../_lib/http.js';
+import { defineRoute } from '../../../_lib/route.js';
+
+// Renders a template with the given variables exactly as /api/send-email would, without sending it
+async function previewTemplate({ request, env, params }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const body = await readJson(request);
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const template = await loadTemplate(supabase, params.id);
+
+  return json(renderTemplate(template, body.variables));
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'desk'] }, { POST: previewTemplate });
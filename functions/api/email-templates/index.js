@@ -0,0 +1,31 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, requireEnv } from '../../_lib/http.js';
+import { defineRoute } from '../../_lib/route.js';
+
+async function listTemplates({ env }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data, error } = await supabase
+    .from('email_templates')
+    .select('id, name, description, subject, html, text, updated_at')
+    .order('name');
+
+  if (error) {
+    console.error('[email-templates] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch email templates.');
+  }
+
+  return json(data.map((row) => ({
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    subject: row.subject,
+    html: row.html,
+    text: row.text,
+    updatedAt: row.updated_at,
+  })));
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'desk'] }, { GET: listTemplates });
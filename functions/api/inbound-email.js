@@ -0,0 +1,104 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, requireEnv } from '../_lib/http.js';
+import { storeInboundEmail } from '../_lib/inbox.js';
+import { parseAddressList, parseMessageIds, parseMimeMessage } from '../_lib/mime.js';
+import { defineRoute } from '../_lib/route.js';
+import { verifyWebhookSignature } from '../_lib/webhooks.js';
+
+function headerMap(headers) {
+  // Resend sends headers either as an object or as [{ name, value }]
+  const entries = Array.isArray(headers)
+    ? headers.map((header) => [header.name, header.value])
+    : Object.entries(headers || {});
+  return Object.fromEntries(entries.map(([name, value]) => [String(name).toLowerCase(), String(value)]));
+}
+
+function addressListValue(value) {
+  return Array.isArray(value) ? value.join(', ') : value || '';
+}
+
+// Maps Resend's `email.received` event onto the shape parseMimeMessage returns
+function fromResendEvent(data) {
+  const headers = headerMap(data.headers);
+
+  return {
+    from: parseAddressList(data.from)[0] || null,
+    to: parseAddressList(addressListValue(data.to)),
+    cc: parseAddressList(addressListValue(data.cc)),
+    subject: data.subject ?? null,
+    date: headers.date || data.created_at || null,
+    messageId: parseMessageIds(headers['message-id'] || data.message_id)[0] || data.message_id || null,
+    inReplyTo: parseMessageIds(headers['in-reply-to'] || data.in_reply_to)[0] || null,
+    references: parseMessageIds(headers.references || data.references),
+    text: data.text ?? null,
+    html: data.html ?? null,
+    attachments: (data.attachments || []).map((attachment) => ({
+      filename: attachment.filename ?? null,
+      contentType: attachment.content_type ?? attachment.contentType ?? null,
+      size: attachment.size ?? null,
+      contentId: attachment.content_id ?? null,
+      inline: attachment.content_disposition === 'inline',
+    })),
+  };
+}
+
+// Receives inbound mail for the desk inbox. Accepts either Resend's JSON
+// `email.received` event or a raw MIME message (e.g. forwarded by an Email
+// Worker), signed the same way as Yoco webhooks with INBOUND_EMAIL_SECRET.
+async function receiveInboundEmail({ request, env }) {
+  requireEnv(env, ['INBOUND_EMAIL_SECRET'], 'Webhook not configured');
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  // Kept as bytes: raw MIME need not be UTF-8, and the signature covers the exact bytes
+  const rawBody = new Uint8Array(await request.arrayBuffer());
+
+  if (!(await verifyWebhookSignature(env.INBOUND_EMAIL_SECRET, request.headers, rawBody))) {
+    console.error('[inbound-email] Invalid webhook signature');
+    throw new ApiError(ErrorCode.INVALID_SIGNATURE, 'Invalid signature');
+  }
+
+  let message;
+  let providerId = null;
+
+  if ((request.headers.get('Content-Type') || '').includes('application/json')) {
+    let event;
+    try {
+      event = JSON.parse(new TextDecoder().decode(rawBody));
+    } catch {
+      throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Request body must be valid JSON.');
+    }
+
+    // Acknowledge other Resend events so they aren't retried
+    if (event.type !== 'email.received' || !event.data) {
+      return json({ received: true, result: 'ignored' });
+    }
+
+    message = fromResendEvent(event.data);
+    providerId = event.data.email_id || null;
+  } else {
+    message = parseMimeMessage(rawBody);
+  }
+
+  if (!message.from) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Inbound email has no sender.');
+  }
+
+  // Messages without a Message-ID fall back to the delivery id, so redeliveries still dedupe
+  const deliveryId = request.headers.get('webhook-id') || request.headers.get('svix-id');
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const stored = await storeInboundEmail(supabase, message, {
+    fallbackMessageId: `${deliveryId}@inbound.warmthly.org`,
+    providerId,
+  });
+
+  return json({
+    received: true,
+    result: stored.duplicate ? 'duplicate' : 'stored',
+    id: stored.id,
+    threadId: stored.threadId,
+  });
+}
+
+// Called by the mail provider's servers, so there is no browser origin to check
+export const onRequest = defineRoute({ origin: 'any' }, { POST: receiveInboundEmail });
@@ -0,0 +1,133 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../_lib/http.js';
+import { toInboxEmail } from '../../_lib/inbox.js';
+import { defineRoute } from '../../_lib/route.js';
+import { isUuid } from '../../_lib/validation.js';
+
+const MAX_LABELS = 20;
+const MAX_LABEL_LENGTH = 50;
+
+async function fetchEmail(supabase, id) {
+  const { data, error } = await supabase
+    .from('emails')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[inbox] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch email.');
+  }
+
+  if (!data) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Email not found.');
+  }
+  return data;
+}
+
+function parseId(params) {
+  if (!/^\d+$/.test(params.id)) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Email not found.');
+  }
+  return Number(params.id);
+}
+
+async function getEmail({ env, params }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  return json(toInboxEmail(await fetchEmail(supabase, parseId(params)), { full: true }));
+}
+
+function validateLabels(labels) {
+  if (!Array.isArray(labels) || labels.length > MAX_LABELS) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `labels must be a list of at most ${MAX_LABELS} labels.`);
+  }
+
+  const cleaned = labels.map((label) => (typeof label === 'string' ? label.trim() : ''));
+  if (cleaned.some((label) => !label || label.length > MAX_LABEL_LENGTH)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `Labels must be between 1 and ${MAX_LABEL_LENGTH} characters.`);
+  }
+  return [...new Set(cleaned)];
+}
+
+// Updates the desk's state for an email: `read`, `archived`, `labels` (replaces
+// the whole list) and `assignedTo` (an admin id, or null to unassign)
+async function updateEmail({ request, env, params }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const id = parseId(params);
+  const body = await readJson(request);
+  const { read, archived, labels, assignedTo } = body;
+  const update = {};
+  const now = new Date().toISOString();
+
+  if (read !== undefined) {
+    if (typeof read !== 'boolean') {
+      throw new ApiError(ErrorCode.VALIDATION_ERROR, 'read must be true or false.');
+    }
+    update.read_at = read ? now : null;
+  }
+
+  if (archived !== undefined) {
+    if (typeof archived !== 'boolean') {
+      throw new ApiError(ErrorCode.VALIDATION_ERROR, 'archived must be true or false.');
+    }
+    update.archived_at = archived ? now : null;
+  }
+
+  if (labels !== undefined) {
+    update.labels = validateLabels(labels);
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  if (assignedTo !== undefined) {
+    if (assignedTo !== null && !isUuid(assignedTo)) {
+      throw new ApiError(ErrorCode.VALIDATION_ERROR, 'assignedTo must be an admin id or null.');
+    }
+
+    if (assignedTo) {
+      const { data: admin, error: adminError } = await supabase
+        .from('admin_users')
+        .select('id')
+        .eq('id', assignedTo)
+        .is('disabled_at', null)
+        .maybeSingle();
+
+      if (adminError) {
+        console.error('[inbox] Supabase error:', adminError);
+        throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to update email.');
+      }
+      if (!admin) {
+        throw new ApiError(ErrorCode.VALIDATION_ERROR, 'assignedTo must be an active admin.');
+      }
+    }
+    update.assigned_to = assignedTo;
+  }
+
+  if (Object.keys(update).length === 0) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Nothing to update.');
+  }
+
+  const { data, error } = await supabase
+    .from('emails')
+    .update(update)
+    .eq('id', id)
+    .select('*')
+    .maybeSingle();
+
+  if (error) {
+    console.error('[inbox] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to update email.');
+  }
+
+  if (!data) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Email not found.');
+  }
+
+  return json(toInboxEmail(data, { full: true }));
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'desk'] }, { GET: getEmail, PATCH: updateEmail });
@@ -0,0 +1,88 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, requireEnv } from '../../_lib/http.js';
+import { INBOX_LIST_COLUMNS, toInboxEmail } from '../../_lib/inbox.js';
+import { pageResult, paginateDescending, parseDate, parseLimit } from '../../_lib/pagination.js';
+import { defineRoute } from '../../_lib/route.js';
+import { isUuid } from '../../_lib/validation.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const MAX_QUERY_LENGTH = 200;
+
+function parseBoolean(searchParams, name) {
+  const value = searchParams.get(name);
+  if (value === null) return undefined;
+  if (value !== 'true' && value !== 'false') {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `${name} must be true or false.`);
+  }
+  return value === 'true';
+}
+
+// Lists received email, newest first, a page at a time. Query parameters:
+// - `cursor`: the `nextCursor` from the previous page
+// - `limit`: page size, up to 100
+// - `q`: full-text search over subject, body and sender
+// - `since` / `until`: received-at date range
+// - `read`, `archived`: true or false (archived defaults to false)
+// - `label`: only email carrying this label
+// - `assignedTo`: an admin id, `me`, or `none` for unassigned email
+async function listInbox({ request, env, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const { searchParams } = new URL(request.url);
+  const limit = parseLimit(searchParams, { defaultLimit: DEFAULT_LIMIT, maxLimit: MAX_LIMIT });
+  const q = (searchParams.get('q') || '').trim().substring(0, MAX_QUERY_LENGTH);
+  const since = parseDate(searchParams, 'since');
+  const until = parseDate(searchParams, 'until');
+  const read = parseBoolean(searchParams, 'read');
+  const archived = parseBoolean(searchParams, 'archived') ?? false;
+  const label = searchParams.get('label');
+  const assignedTo = searchParams.get('assignedTo');
+
+  if (assignedTo && !['me', 'none'].includes(assignedTo) && !isUuid(assignedTo)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'assignedTo must be an admin id, me or none.');
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  let query = supabase.from('emails').select(INBOX_LIST_COLUMNS);
+
+  if (q) {
+    query = query.textSearch('search_vector', q, { type: 'websearch', config: 'simple' });
+  }
+  if (since) {
+    query = query.gte('created_at', since);
+  }
+  if (until) {
+    query = query.lt('created_at', until);
+  }
+  if (read !== undefined) {
+    query = read ? query.not('read_at', 'is', null) : query.is('read_at', null);
+  }
+  query = archived ? query.not('archived_at', 'is', null) : query.is('archived_at', null);
+  if (label) {
+    query = query.contains('labels', [label]);
+  }
+  if (assignedTo === 'none') {
+    query = query.is('assigned_to', null);
+  } else if (assignedTo) {
+    query = query.eq('assigned_to', assignedTo === 'me' ? user.sub : assignedTo);
+  }
+
+  const { data, error } = await paginateDescending(query, {
+    column: 'created_at',
+    cursor: searchParams.get('cursor'),
+    limit,
+  });
+
+  if (error) {
+    console.error('[inbox] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch emails.');
+  }
+
+  const { items, nextCursor } = pageResult(data, { column: 'created_at', limit });
+
+  return json({ emails: items.map((row) => toInboxEmail(row)), nextCursor });
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'desk'] }, { GET: listInbox });
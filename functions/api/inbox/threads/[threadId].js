@@ -0,0 +1,57 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, requireEnv } from '../../../_lib/http.js';
+import { toInboxEmail } from '../../../_lib/inbox.js';
+import { defineRoute } from '../../../_lib/route.js';
+import { isUuid } from '../../../_lib/validation.js';
+
+// A whole conversation, oldest first: received email alongside the desk's
+// replies sent through /api/send-email
+async function getThread({ env, params }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  if (!isUuid(params.threadId)) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Thread not found.');
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const [received, sent] = await Promise.all([
+    supabase.from('emails').select('*').eq('thread_id', params.threadId),
+    supabase.from('outbound_emails').select('*').eq('thread_id', params.threadId),
+  ]);
+
+  const error = received.error || sent.error;
+  if (error) {
+    console.error('[inbox] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch thread.');
+  }
+
+  if (received.data.length === 0 && sent.data.length === 0) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Thread not found.');
+  }
+
+  const messages = [
+    ...received.data.map((row) => ({
+      direction: 'inbound',
+      at: row.created_at,
+      ...toInboxEmail(row, { full: true }),
+    })),
+    ...sent.data.map((row) => ({
+      direction: 'outbound',
+      at: row.sent_at,
+      id: row.id,
+      messageId: row.message_id,
+      from: { address: row.from_address, name: null },
+      to: [row.to_address],
+      subject: row.subject,
+      text: row.text,
+      html: row.html,
+      sentBy: row.sent_by,
+      senderEmail: row.sender_email,
+    })),
+  ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return json({ threadId: params.threadId, messages });
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'desk'] }, { GET: getThread });
@@ -1,90 +1,55 @@
-import jwt from 'jsonwebtoken';
-
-const allowedOrigins = [
-  'https://www.warmthly.org',
-  'https://mint.warmthly.org',
-  'https://post.warmthly.org',
-  'https://admin.warmthly.org',
-];
-
-function constantTimeCompare(a, b) {
-  if (!a || !b) return false;
-  if (a.length !== b.length) return false;
-  
-  let result = 0;
-  for (let i = 0; i < a.length; i++) {
-    result |= a.charCodeAt(i) ^ b.charCodeAt(i);
+import { createClient } from '@supabase/supabase-js';
+import { completeLogin } from '../_lib/admin-users.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../_lib/http.js';
+import { signPreAuthToken } from '../_lib/mfa.js';
+import { verifyPassword } from '../_lib/passwords.js';
+import { assertLoginAllowed, clearLoginFailures, recordLoginFailure } from '../_lib/rate-limit.js';
+import { defineRoute } from '../_lib/route.js';
+
+// First login step. Admins with 2FA get a short-lived pre-auth token to send,
+// with their code, to /api/login/verify instead of an access token.
+async function login({ request, env }) {
+  const body = await readJson(request);
+  const { email, password } = body;
+
+  if (!email || typeof email !== 'string' || !password || typeof password !== 'string') {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Email and password are required.');
   }
-  return result === 0;
-}
 
-export async function onRequest(context) {
-  const { request, env } = context;
+  requireEnv(env, ['JWT_SECRET'], 'Authentication system not configured.');
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
 
-  const origin = request.headers.get('Origin') || '';
-  const isAllowedOrigin = allowedOrigins.includes(origin);
+  // Locked out by email, whether or not it belongs to an account, so the lockout reveals nothing
+  await assertLoginAllowed(env, email);
 
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : allowedOrigins[0],
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-  };
-
-  if (request.method === 'OPTIONS') {
-    return new Response(null, { headers: corsHeaders });
-  }
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
 
-  if (request.method !== 'POST') {
-    return new Response('Method Not Allowed', { status: 405, headers: corsHeaders });
-  }
+  const { data: user, error: dbError } = await supabase
+    .from('admin_users')
+    .select('id, email, name, role, password_hash, disabled_at, mfa_required, totp_enabled_at')
+    .eq('email', email.trim().toLowerCase())
+    .maybeSingle();
 
-  if (!isAllowedOrigin) {
-    return new Response('Forbidden: Invalid origin', { status: 403 });
+  if (dbError) {
+    console.error('[login] Supabase error:', dbError);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to log in. Please try again.');
   }
 
-  try {
-    const body = await request.json();
-    const { password } = body;
-
-    if (!env.ADMIN_PASSWORD) {
-      console.error('[login] ADMIN_PASSWORD is not configured');
-      return new Response(
-        JSON.stringify({ error: { message: 'Admin password not configured.' } }),
-        { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
-
-    if (!env.JWT_SECRET) {
-      console.error('[login] JWT_SECRET is not configured');
-      return new Response(
-        JSON.stringify({ error: { message: 'Authentication system not configured.' } }),
-        { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  // Always verify, even without a user, so response times don't reveal which emails exist
+  const passwordValid = await verifyPassword(password, user ? user.password_hash : null);
 
-    if (constantTimeCompare(password || '', env.ADMIN_PASSWORD)) {
-      const token = jwt.sign(
-        { user: 'admin' },
-        env.JWT_SECRET,
-        { expiresIn: '8h' }
-      );
+  if (!user || !passwordValid || user.disabled_at) {
+    await recordLoginFailure(env, email);
+    throw new ApiError(ErrorCode.INVALID_CREDENTIALS, 'Incorrect email or password');
+  }
 
-      return new Response(
-        JSON.stringify({ token }),
-        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    } else {
-      return new Response(
-        JSON.stringify({ error: { message: 'Incorrect password' } }),
-        { status: 401, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
-  } catch (error) {
-    console.error('[login] Error:', error);
-    return new Response(
-      JSON.stringify({ error: { message: 'Internal Server Error' } }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
+  // With 2FA, failures keep counting until the code is verified too
+  if (user.totp_enabled_at) {
+    return json({ mfaRequired: true, preAuthToken: signPreAuthToken(env, user) });
   }
+
+  await clearLoginFailures(env, email);
+  return json(await completeLogin(supabase, env, user));
 }
 
+export const onRequest = defineRoute({ rateLimit: 'login' }, { POST: login });
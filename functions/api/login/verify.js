@@ -0,0 +1,51 @@
+import { createClient } from '@supabase/supabase-js';
+import { completeLogin } from '../../_lib/admin-users.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../_lib/http.js';
+import { verifyPreAuthToken, verifySecondFactor } from '../../_lib/mfa.js';
+import { assertLoginAllowed, clearLoginFailures, recordLoginFailure } from '../../_lib/rate-limit.js';
+import { defineRoute } from '../../_lib/route.js';
+
+// Second login step: exchanges the pre-auth token from /api/login plus a TOTP
+// code (or a one-time recovery code) for an access token.
+async function verifyLogin({ request, env }) {
+  requireEnv(env, ['JWT_SECRET'], 'Authentication system not configured.');
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const body = await readJson(request);
+  const { preAuthToken, code, recoveryCode } = body;
+
+  if (!code && !recoveryCode) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'A verification code or recovery code is required.');
+  }
+
+  const claims = verifyPreAuthToken(env, preAuthToken);
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data: user, error: dbError } = await supabase
+    .from('admin_users')
+    .select('id, email, name, role, disabled_at, mfa_required, totp_secret, totp_enabled_at, totp_last_counter')
+    .eq('id', claims.sub)
+    .maybeSingle();
+
+  if (dbError) {
+    console.error('[login/verify] Supabase error:', dbError);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to log in. Please try again.');
+  }
+
+  if (!user || user.disabled_at || !user.totp_enabled_at) {
+    throw new ApiError(ErrorCode.UNAUTHORIZED, 'Your sign-in has expired. Please log in again.');
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  await assertLoginAllowed(env, user.email);
+
+  if (!(await verifySecondFactor(supabase, user, { code, recoveryCode }))) {
+    await recordLoginFailure(env, user.email);
+    throw new ApiError(ErrorCode.INVALID_CREDENTIALS, 'Invalid verification code.');
+  }
+
+  await clearLoginFailures(env, user.email);
+  return json(await completeLogin(supabase, env, user));
+}
+
+export const onRequest = defineRoute({ rateLimit: 'loginVerify' }, { POST: verifyLogin });
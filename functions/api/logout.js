@@ -0,0 +1,20 @@
+import { createClient } from '@supabase/supabase-js';
+import { json, readJson, requireEnv } from '../_lib/http.js';
+import { revokeRefreshToken } from '../_lib/sessions.js';
+import { defineRoute } from '../_lib/route.js';
+
+// Ends the session a refresh token belongs to. Takes the refresh token rather
+// than the access token so it still works after the access token has expired.
+// Unknown or already-ended sessions are not an error.
+async function logout({ request, env }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const body = await readJson(request);
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  await revokeRefreshToken(supabase, body.refreshToken);
+
+  return json({ message: 'Logged out.' });
+}
+
+export const onRequest = defineRoute({}, { POST: logout });
@@ -0,0 +1,29 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, requireEnv } from '../../../../_lib/http.js';
+import { countRecipients, toCampaign } from '../../../../_lib/newsletter.js';
+import { defineRoute } from '../../../../_lib/route.js';
+
+async function getCampaign({ env, params }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data: campaign, error } = await supabase
+    .from('newsletter_campaigns')
+    .select('*')
+    .eq('id', params.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[newsletter] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch campaign.');
+  }
+
+  if (!campaign) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Campaign not found.');
+  }
+
+  return json(toCampaign(campaign, await countRecipients(supabase, campaign.id)));
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'desk'] }, { GET: getCampaign });
@@ -0,0 +1,51 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, requireEnv } from '../../../../_lib/http.js';
+import { defineRoute } from '../../../../_lib/route.js';
+
+const RECIPIENT_STATUSES = ['pending', 'sending', 'sent', 'failed', 'suppressed'];
+const MAX_LIMIT = 1000;
+
+// Per-recipient delivery status of a campaign, filterable with ?status=
+async function listRecipients({ request, env, params }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const url = new URL(request.url);
+  const status = url.searchParams.get('status');
+  const limit = parseInt(url.searchParams.get('limit') || String(MAX_LIMIT), 10);
+  const offset = parseInt(url.searchParams.get('offset') || '0', 10);
+
+  if (status && !RECIPIENT_STATUSES.includes(status)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `Invalid status. Must be one of: ${RECIPIENT_STATUSES.join(', ')}.`);
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  let query = supabase
+    .from('newsletter_recipients')
+    .select('email, name, status, resend_id, error, sent_at')
+    .eq('campaign_id', params.id)
+    .order('id')
+    .range(offset, offset + Math.min(limit, MAX_LIMIT) - 1);
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('[newsletter] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch recipients.');
+  }
+
+  return json(data.map((row) => ({
+    email: row.email,
+    name: row.name,
+    status: row.status,
+    resendId: row.resend_id,
+    error: row.error,
+    sentAt: row.sent_at,
+  })));
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'desk'] }, { GET: listRecipients });
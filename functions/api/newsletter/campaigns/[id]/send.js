@@ -0,0 +1,48 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, requireEnv } from '../../../../_lib/http.js';
+import { countRecipients, sendCampaignBatches, startCampaign, toCampaign } from '../../../../_lib/newsletter.js';
+import { defineRoute } from '../../../../_lib/route.js';
+
+// Starts a draft campaign, or carries on sending one that is part-way through.
+// Each call sends a few batches; keep calling while `counts.pending` is above
+// zero. `busy: true` means another call is sending right now.
+async function sendCampaign({ request, env, params }) {
+  requireEnv(env, ['RESEND_API_KEY', 'UNSUBSCRIBE_SECRET'], 'Email service is not configured. Please contact the administrator.');
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data: campaign, error } = await supabase
+    .from('newsletter_campaigns')
+    .select('*')
+    .eq('id', params.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[newsletter] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch campaign.');
+  }
+
+  if (!campaign) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Campaign not found.');
+  }
+
+  if (campaign.status === 'sent') {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'This campaign has already been sent.');
+  }
+
+  // Drafts, and campaigns whose start stopped before all recipients were added
+  const started = campaign.recipients_ready ? campaign : await startCampaign(supabase, campaign);
+
+  // A second click on Send while the first is still adding recipients
+  if (!started) {
+    return json({ ...toCampaign({ ...campaign, status: 'sending' }, await countRecipients(supabase, campaign.id)), busy: true });
+  }
+
+  // The one-click unsubscribe URL in the List-Unsubscribe header points back at this API
+  const result = await sendCampaignBatches(env, supabase, started, { apiOrigin: new URL(request.url).origin });
+
+  return json({ ...toCampaign(result.campaign, result.counts), busy: result.busy });
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'desk'] }, { POST: sendCampaign });
@@ -0,0 +1,69 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../../_lib/http.js';
+import { AUDIENCES, toCampaign } from '../../../_lib/newsletter.js';
+import { defineRoute } from '../../../_lib/route.js';
+
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_CAMPAIGNS = 100;
+
+async function listCampaigns({ env }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data, error } = await supabase
+    .from('newsletter_campaigns')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(MAX_CAMPAIGNS);
+
+  if (error) {
+    console.error('[newsletter] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch campaigns.');
+  }
+
+  return json(data.map((row) => toCampaign(row)));
+}
+
+// Creates a draft. Recipients are only worked out when it is first sent.
+async function createCampaign({ request, env, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const body = await readJson(request);
+  const { subject, html, audience } = body;
+
+  if (!subject || typeof subject !== 'string' || !subject.trim()) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Subject is required.');
+  }
+
+  if (!html || typeof html !== 'string' || !html.trim()) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Newsletter content is required.');
+  }
+
+  if (!AUDIENCES.includes(audience)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `Invalid audience. Must be one of: ${AUDIENCES.join(', ')}.`);
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data, error } = await supabase
+    .from('newsletter_campaigns')
+    .insert({
+      subject: subject.trim().substring(0, MAX_SUBJECT_LENGTH),
+      html,
+      audience,
+      status: 'draft',
+      created_by: user.sub,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('[newsletter] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to create campaign.');
+  }
+
+  return json(toCampaign(data), 201);
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'desk'] }, { GET: listCampaigns, POST: createCampaign });
@@ -0,0 +1,61 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, requireEnv } from '../_lib/http.js';
+import { pageResult, paginateDescending, parseLimit } from '../_lib/pagination.js';
+import { defineRoute } from '../_lib/route.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function toOutboundEmail(row) {
+  return {
+    id: row.id,
+    sentBy: row.sent_by,
+    senderEmail: row.sender_email,
+    from: row.from_address,
+    to: row.to_address,
+    subject: row.subject,
+    html: row.html,
+    text: row.text,
+    templateId: row.template_id,
+    resendId: row.resend_id,
+    sentAt: row.sent_at,
+  };
+}
+
+// Lists email sent through /api/send-email, newest first, a page at a time.
+// Query parameters:
+// - `cursor`: the `nextCursor` from the previous page
+// - `limit`: page size, up to 200
+// - `to`: exact recipient
+async function listOutboundEmails({ request, env }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const { searchParams } = new URL(request.url);
+  const to = searchParams.get('to');
+  const limit = parseLimit(searchParams, { defaultLimit: DEFAULT_LIMIT, maxLimit: MAX_LIMIT });
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  let query = supabase.from('outbound_emails').select('*');
+
+  if (to) {
+    query = query.eq('to_address', to.trim());
+  }
+
+  const { data, error } = await paginateDescending(query, {
+    column: 'sent_at',
+    cursor: searchParams.get('cursor'),
+    limit,
+  });
+
+  if (error) {
+    console.error('[outbound-emails] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch sent emails.');
+  }
+
+  const { items, nextCursor } = pageResult(data, { column: 'sent_at', limit });
+
+  return json({ emails: items.map(toOutboundEmail), nextCursor });
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'desk'] }, { GET: listOutboundEmails });
@@ -0,0 +1,36 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, requireEnv } from '../../../_lib/http.js';
+import { fetchReceipt, parseReceiptNumber, toReceipt } from '../../../_lib/receipts.js';
+import { defineRoute } from '../../../_lib/route.js';
+
+// A receipt with its audit trail: when it was issued, emailed, regenerated or voided, and by whom
+async function getReceipt({ env, params }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const receipt = await fetchReceipt(supabase, parseReceiptNumber(params));
+
+  const { data: events, error } = await supabase
+    .from('donation_receipt_events')
+    .select('*')
+    .eq('receipt_id', receipt.id)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) {
+    console.error('[receipts] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch receipt.');
+  }
+
+  return json({
+    ...toReceipt(receipt),
+    history: events.map((event) => ({
+      type: event.type,
+      actorId: event.actor_id,
+      data: event.data,
+      createdAt: event.created_at,
+    })),
+  });
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'finance'] }, { GET: getReceipt });
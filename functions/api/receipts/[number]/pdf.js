@@ -0,0 +1,23 @@
+import { createClient } from '@supabase/supabase-js';
+import { requireEnv } from '../../../_lib/http.js';
+import { fetchReceipt, formatReceiptNumber, parseReceiptNumber, renderReceiptPdf } from '../../../_lib/receipts.js';
+import { defineRoute } from '../../../_lib/route.js';
+
+// Receipts aren't stored as files; the PDF is rendered from the receipt each time
+async function downloadReceipt({ env, params }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+  requireEnv(env, ['RECEIPT_PBO_NUMBER', 'RECEIPT_ORG_ADDRESS'], 'Receipts are not configured.');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const receipt = await fetchReceipt(supabase, parseReceiptNumber(params));
+
+  return new Response(renderReceiptPdf(env, receipt), {
+    headers: {
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${formatReceiptNumber(receipt.receipt_number)}.pdf"`,
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'finance'] }, { GET: downloadReceipt });
@@ -0,0 +1,70 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../../_lib/http.js';
+import {
+  emailReceipt,
+  fetchReceipt,
+  parseDonorDetails,
+  parseReceiptNumber,
+  recordReceiptEvent,
+  renderReceiptPdf,
+  toReceipt,
+} from '../../../_lib/receipts.js';
+import { defineRoute } from '../../../_lib/route.js';
+
+// Re-renders a receipt under the same number, optionally correcting the donor's
+// `donor` details, and emails it again unless `send` is false. Corrections are
+// kept in the receipt's history with their previous values.
+async function regenerateReceipt({ request, env, params, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+  requireEnv(env, ['RECEIPT_PBO_NUMBER', 'RECEIPT_ORG_ADDRESS'], 'Receipts are not configured.');
+
+  const body = await readJson(request);
+  const { send = true } = body;
+
+  if (typeof send !== 'boolean') {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'send must be true or false.');
+  }
+  if (send) {
+    requireEnv(env, ['RESEND_API_KEY'], 'Email service is not configured. Please contact the administrator.');
+  }
+
+  const corrections = body.donor === undefined ? {} : parseDonorDetails(body.donor, null, { partial: true });
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  let receipt = await fetchReceipt(supabase, parseReceiptNumber(params));
+
+  if (receipt.status === 'voided') {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'A voided receipt cannot be regenerated; issue a new one instead.');
+  }
+
+  const changes = Object.fromEntries(
+    Object.entries(corrections)
+      .filter(([column, value]) => receipt[column] !== value)
+      .map(([column, value]) => [column, { from: receipt[column], to: value }])
+  );
+
+  try {
+    if (Object.keys(changes).length > 0) {
+      const update = Object.fromEntries(Object.entries(changes).map(([column, { to }]) => [column, to]));
+      const { error } = await supabase
+        .from('donation_receipts')
+        .update({ ...update, updated_at: new Date().toISOString() })
+        .eq('id', receipt.id);
+      if (error) throw error;
+      receipt = { ...receipt, ...update };
+    }
+
+    await recordReceiptEvent(supabase, receipt.id, { type: 'regenerated', actorId: user.sub, data: { changes } });
+  } catch (error) {
+    console.error('[receipts] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to regenerate receipt.');
+  }
+
+  const emailed = send
+    ? await emailReceipt(env, supabase, receipt, renderReceiptPdf(env, receipt), { actorId: user.sub })
+    : false;
+
+  return json({ ...toReceipt(receipt), emailed });
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'finance'] }, { POST: regenerateReceipt });
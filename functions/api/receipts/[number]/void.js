@@ -0,0 +1,41 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../../_lib/http.js';
+import { fetchReceipt, parseReceiptNumber, toReceipt } from '../../../_lib/receipts.js';
+import { defineRoute } from '../../../_lib/route.js';
+
+const MAX_REASON_LENGTH = 500;
+
+// Cancels a receipt, e.g. after a refund or when it was issued in error. The
+// number is never reused, and the donations on it can be receipted again.
+async function voidReceipt({ request, env, params, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const { reason } = await readJson(request);
+
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'A reason for voiding the receipt is required.');
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const number = parseReceiptNumber(params);
+  const receipt = await fetchReceipt(supabase, number);
+
+  const { data: voided, error } = await supabase.rpc('void_donation_receipt', {
+    p_receipt_id: receipt.id,
+    p_actor_id: user.sub,
+    p_reason: reason.trim().substring(0, MAX_REASON_LENGTH),
+  });
+
+  if (error) {
+    console.error('[receipts] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to void receipt.');
+  }
+
+  if (!voided?.id) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'This receipt has already been voided.');
+  }
+
+  return json(toReceipt(await fetchReceipt(supabase, number)));
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'finance'] }, { POST: voidReceipt });
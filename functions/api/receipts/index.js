@@ -0,0 +1,227 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../_lib/http.js';
+import { escapeLike, pageResult, paginateDescending, parseLimit } from '../../_lib/pagination.js';
+import {
+  eligibleDonations,
+  emailReceipt,
+  fetchReceipt,
+  parseDonorDetails,
+  previousDonorDetails,
+  renderReceiptPdf,
+  taxYearRange,
+  toReceipt,
+} from '../../_lib/receipts.js';
+import { defineRoute } from '../../_lib/route.js';
+import { isValidEmail } from '../../_lib/validation.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const FIRST_TAX_YEAR = 2000;
+
+// Lists receipts, newest first. Query parameters: `cursor` / `limit`,
+// `donorEmail`, `taxYear`, `kind` (donation or annual), `status` (issued or voided)
+// and `flagged=true` for issued receipts with a donation refunded since.
+async function listReceipts({ request, env }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const { searchParams } = new URL(request.url);
+  const limit = parseLimit(searchParams, { defaultLimit: DEFAULT_LIMIT, maxLimit: MAX_LIMIT });
+  const donorEmail = searchParams.get('donorEmail');
+  const taxYear = searchParams.get('taxYear');
+  const kind = searchParams.get('kind');
+  const status = searchParams.get('status');
+  const flagged = searchParams.get('flagged');
+
+  if (taxYear !== null && !/^\d{4}$/.test(taxYear)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'taxYear must be a year.');
+  }
+  if (kind !== null && !['donation', 'annual'].includes(kind)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'kind must be donation or annual.');
+  }
+  if (status !== null && !['issued', 'voided'].includes(status)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'status must be issued or voided.');
+  }
+  if (flagged !== null && !['true', 'false'].includes(flagged)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'flagged must be true or false.');
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  let query = supabase.from('donation_receipts').select('*');
+
+  if (donorEmail) {
+    query = query.ilike('donor_email', escapeLike(donorEmail.trim()));
+  }
+  if (taxYear) {
+    query = query.eq('tax_year', Number(taxYear));
+  }
+  if (kind) {
+    query = query.eq('kind', kind);
+  }
+  if (status) {
+    query = query.eq('status', status);
+  }
+  if (flagged === 'true') {
+    query = query.eq('status', 'issued').not('refund_flagged_at', 'is', null);
+  } else if (flagged === 'false') {
+    query = query.is('refund_flagged_at', null);
+  }
+
+  const { data, error } = await paginateDescending(query, {
+    column: 'created_at',
+    cursor: searchParams.get('cursor'),
+    limit,
+  });
+
+  if (error) {
+    console.error('[receipts] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch receipts.');
+  }
+
+  const { items, nextCursor } = pageResult(data, { column: 'created_at', limit });
+
+  return json({ receipts: items.map(toReceipt), nextCursor });
+}
+
+// The donation with this transaction id, if it can still be receipted
+async function singleDonation(supabase, donationId) {
+  if (!donationId || typeof donationId !== 'string') {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'donationId must be a donation id.');
+  }
+
+  const { data: donation, error } = await supabase
+    .from('donations')
+    .select('*')
+    .eq('transaction_id', donationId)
+    .maybeSingle();
+  if (error) throw error;
+
+  if (!donation) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Donation not found.');
+  }
+
+  const eligible = await eligibleDonations(supabase, [donation]);
+  if (eligible.length === 0) {
+    throw new ApiError(
+      ErrorCode.INVALID_STATE,
+      'This donation cannot be receipted: only settled rand donations that are not already on a receipt can be.'
+    );
+  }
+  return eligible;
+}
+
+// Every receiptable donation the donor made in the tax year
+async function annualDonations(supabase, donorEmail, taxYear) {
+  const { from, to } = taxYearRange(taxYear);
+
+  const { data, error } = await supabase
+    .from('donations')
+    .select('*')
+    .ilike('donor_email', escapeLike(donorEmail))
+    .gte('date', from)
+    .lt('date', to);
+  if (error) throw error;
+
+  const eligible = await eligibleDonations(supabase, data);
+  if (eligible.length === 0) {
+    throw new ApiError(ErrorCode.INVALID_STATE, `There are no unreceipted rand donations from this donor in the ${taxYear} tax year.`);
+  }
+  return eligible;
+}
+
+// Issues a receipt for one donation (`donationId`) or an annual consolidated
+// receipt (`donorEmail` and `taxYear`), and emails it unless `send` is false.
+// `donor` gives the donor's name, idNumber and address; any left out are taken
+// from the donor's previous receipt.
+async function issueReceipt({ request, env, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+  requireEnv(env, ['RECEIPT_PBO_NUMBER', 'RECEIPT_ORG_ADDRESS'], 'Receipts are not configured.');
+
+  const body = await readJson(request);
+  const { donationId, taxYear, send = true } = body;
+
+  if (typeof send !== 'boolean') {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'send must be true or false.');
+  }
+  if (send) {
+    requireEnv(env, ['RESEND_API_KEY'], 'Email service is not configured. Please contact the administrator.');
+  }
+
+  const annual = taxYear !== undefined;
+  if (annual === (donationId !== undefined)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Give either donationId, or donorEmail and taxYear for an annual receipt.');
+  }
+
+  const currentTaxYear = new Date().getUTCFullYear() + 1;
+  if (annual && (!Number.isInteger(taxYear) || taxYear < FIRST_TAX_YEAR || taxYear > currentTaxYear)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `taxYear must be a year between ${FIRST_TAX_YEAR} and ${currentTaxYear}.`);
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  let donations;
+  let donorEmail;
+  try {
+    if (annual) {
+      donorEmail = typeof body.donorEmail === 'string' ? body.donorEmail.trim() : '';
+      if (!isValidEmail(donorEmail)) {
+        throw new ApiError(ErrorCode.VALIDATION_ERROR, 'A valid donorEmail is required for an annual receipt.');
+      }
+      donations = await annualDonations(supabase, donorEmail, taxYear);
+    } else {
+      donations = await singleDonation(supabase, donationId);
+      donorEmail = donations[0].donor_email || (typeof body.donorEmail === 'string' ? body.donorEmail.trim() : '');
+      if (!isValidEmail(donorEmail)) {
+        throw new ApiError(ErrorCode.VALIDATION_ERROR, 'This donation has no donor email; give donorEmail.');
+      }
+    }
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    console.error('[receipts] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch donations.');
+  }
+
+  let previous;
+  try {
+    previous = await previousDonorDetails(supabase, donorEmail);
+  } catch (error) {
+    console.error('[receipts] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to issue receipt.');
+  }
+  const details = parseDonorDetails(body.donor, previous);
+
+  const { data: issued, error } = await supabase.rpc('issue_donation_receipt', {
+    p_donation_ids: donations.map((donation) => donation.id),
+    p_kind: annual ? 'annual' : 'donation',
+    p_tax_year: annual ? taxYear : null,
+    p_donor_email: donorEmail,
+    p_donor_name: details.donor_name,
+    p_donor_id_number: details.donor_id_number,
+    p_donor_address: details.donor_address,
+    p_issued_by: user.sub,
+  });
+
+  if (error) {
+    if (error.code === '23505') {
+      throw new ApiError(ErrorCode.DUPLICATE, 'One of these donations was receipted by someone else just now.');
+    }
+    console.error('[receipts] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to issue receipt.');
+  }
+
+  const receipt = await fetchReceipt(supabase, issued.receipt_number);
+
+  // The receipt stands even if emailing it fails; it can be sent again with /regenerate
+  let emailed = false;
+  if (send) {
+    try {
+      emailed = await emailReceipt(env, supabase, receipt, renderReceiptPdf(env, receipt), { actorId: user.sub });
+    } catch (emailError) {
+      console.error('[receipts] Failed to email receipt:', { number: receipt.receipt_number, error: emailError });
+    }
+  }
+
+  return json({ ...toReceipt(receipt), emailed }, 201);
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'finance'] }, { GET: listReceipts, POST: issueReceipt });
@@ -0,0 +1,50 @@
+import { createClient } from '@supabase/supabase-js';
+import { constantTimeCompare } from '../../_lib/crypto.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../_lib/http.js';
+import { defineRoute } from '../../_lib/route.js';
+
+// Called by the cancel page linked from donor emails, with the id and token from that link
+async function cancelRecurringDonation({ request, env }) {
+  const body = await readJson(request);
+  const { id, token } = body;
+
+  if (!id || !token || typeof token !== 'string') {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Subscription id and token are required.');
+  }
+
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data: subscription, error: dbError } = await supabase
+    .from('recurring_donations')
+    .select('id, status, cancel_token')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (dbError) {
+    console.error('[recurring-donations/cancel] Supabase error:', dbError);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to cancel recurring donation.');
+  }
+
+  // Same response for unknown ids and wrong tokens, so ids can't be probed
+  if (!subscription || !constantTimeCompare(token, subscription.cancel_token)) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Invalid or expired cancellation link.');
+  }
+
+  if (subscription.status !== 'cancelled') {
+    const { error: updateError } = await supabase
+      .from('recurring_donations')
+      .update({ status: 'cancelled', cancelled_at: new Date().toISOString() })
+      .eq('id', subscription.id);
+
+    if (updateError) {
+      console.error('[recurring-donations/cancel] Supabase error:', updateError);
+      throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to cancel recurring donation.');
+    }
+  }
+
+  return json({ message: 'Your recurring donation has been cancelled.' });
+}
+
+export const onRequest = defineRoute({}, { POST: cancelRecurringDonation });
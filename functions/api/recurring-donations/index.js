@@ -0,0 +1,99 @@
+import { createClient } from '@supabase/supabase-js';
+import { randomToken } from '../../_lib/crypto.js';
+import {
+  MAX_CATEGORY_LENGTH,
+  MAX_DONOR_LENGTH,
+  MAX_PURPOSE_LENGTH,
+  validateAmount,
+  validateCurrency,
+  validateEmail,
+  validateText,
+} from '../../_lib/donations.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../_lib/http.js';
+import { INTERVAL_MONTHS, LOCK_MINUTES, chargeSubscription, cancelLink, sendConfirmationEmail } from '../../_lib/recurring.js';
+import { defineRoute } from '../../_lib/route.js';
+
+async function createRecurringDonation({ request, env }) {
+  const body = await readJson(request);
+  const { amount, currency, interval = 'monthly', donorEmail, donorName, purpose, category, cardToken } = body;
+
+  if (!cardToken || typeof cardToken !== 'string') {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Card token is required');
+  }
+
+  if (!Object.hasOwn(INTERVAL_MONTHS, interval)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `Invalid interval. Allowed intervals: ${Object.keys(INTERVAL_MONTHS).join(', ')}`);
+  }
+
+  // Same rules as one-off checkouts
+  const fields = {
+    amount: validateAmount(amount),
+    currency: validateCurrency(currency),
+    donorEmail: validateEmail(donorEmail),
+    donorName: validateText(donorName, 'Donor name', MAX_DONOR_LENGTH),
+    purpose: validateText(purpose, 'Purpose', MAX_PURPOSE_LENGTH),
+    category: validateText(category, 'Category', MAX_CATEGORY_LENGTH),
+  };
+  // The cancel link is emailed, so an address is required here
+  if (!fields.donorEmail.error && !fields.donorEmail.value) {
+    fields.donorEmail = { error: 'A valid donor email address is required' };
+  }
+
+  const errors = Object.fromEntries(
+    Object.entries(fields).filter(([, field]) => field.error).map(([name, field]) => [name, field.error])
+  );
+  if (Object.keys(errors).length > 0) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, Object.values(errors)[0], { details: { fields: errors } });
+  }
+
+  requireEnv(env, ['YOCO_SECRET_KEY', 'SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Payment service not configured');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const now = new Date();
+
+  const { data: subscription, error: dbError } = await supabase
+    .from('recurring_donations')
+    .insert({
+      amount: fields.amount.value,
+      currency: fields.currency.value,
+      interval,
+      donor_email: fields.donorEmail.value,
+      donor_name: fields.donorName.value,
+      purpose: fields.purpose.value,
+      category: fields.category.value,
+      card_token: cardToken,
+      cancel_token: randomToken(),
+      status: 'active',
+      billing_day: now.getUTCDate(),
+      next_charge_at: now.toISOString(),
+      // Held until the first charge below completes so the scheduler can't pick it up meanwhile
+      locked_until: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000).toISOString(),
+    })
+    .select()
+    .single();
+
+  if (dbError) {
+    console.error('[recurring-donations] Supabase error:', dbError);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to create recurring donation.');
+  }
+
+  // Take the first donation now, so a declined card is reported while the donor is still here
+  const result = await chargeSubscription(env, supabase, subscription, { initial: true });
+
+  if (!result.success) {
+    throw new ApiError(ErrorCode.PAYMENT_DECLINED, result.message || 'Your card was declined. Please try another card.');
+  }
+
+  await sendConfirmationEmail(env, result.subscription);
+
+  return json({
+    id: result.subscription.id,
+    amount: result.subscription.amount,
+    currency: result.subscription.currency,
+    interval: result.subscription.interval,
+    nextChargeAt: result.subscription.next_charge_at,
+    cancelUrl: cancelLink(env, result.subscription),
+  }, 201);
+}
+
+export const onRequest = defineRoute({}, { POST: createRecurringDonation });
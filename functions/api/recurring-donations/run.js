@@ -0,0 +1,25 @@
+import { constantTimeCompare } from '../../_lib/crypto.js';
+import { ApiError, ErrorCode, json, requireEnv } from '../../_lib/http.js';
+import { runDueSubscriptions } from '../../_lib/recurring.js';
+import { defineRoute } from '../../_lib/route.js';
+
+// Pages Functions have no cron triggers, so a scheduled Worker (or any external
+// scheduler) calls this with `Authorization: Bearer <CRON_SECRET>`.
+async function runRecurringDonations({ request, env }) {
+  requireEnv(env, ['CRON_SECRET'], 'Scheduler not configured');
+
+  const authHeader = request.headers.get('Authorization') || '';
+  const secret = authHeader.startsWith('Bearer ') ? authHeader.slice('Bearer '.length) : '';
+
+  if (!constantTimeCompare(secret, env.CRON_SECRET)) {
+    throw new ApiError(ErrorCode.UNAUTHORIZED, 'Authentication required.');
+  }
+
+  requireEnv(env, ['YOCO_SECRET_KEY', 'SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Payment service not configured');
+
+  const summary = await runDueSubscriptions(env);
+
+  return json(summary);
+}
+
+export const onRequest = defineRoute({ origin: 'any' }, { POST: runRecurringDonations });
@@ -0,0 +1,44 @@
+import { createClient } from '@supabase/supabase-js';
+import { ACCESS_TOKEN_TTL_SECONDS, signAccessToken } from '../_lib/auth.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../_lib/http.js';
+import { revokeSession, rotateRefreshToken } from '../_lib/sessions.js';
+import { defineRoute } from '../_lib/route.js';
+
+// Exchanges a refresh token for a new access token and a new refresh token.
+// The role is re-read here, so role changes apply from the next refresh.
+async function refresh({ request, env }) {
+  requireEnv(env, ['JWT_SECRET'], 'Authentication system not configured.');
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const body = await readJson(request);
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { session, refreshToken } = await rotateRefreshToken(supabase, body.refreshToken);
+
+  const { data: user, error } = await supabase
+    .from('admin_users')
+    .select('id, email, name, role, disabled_at, mfa_required, totp_enabled_at')
+    .eq('id', session.user_id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[refresh] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to refresh session.');
+  }
+
+  if (!user || user.disabled_at) {
+    await revokeSession(supabase, session.id);
+    throw new ApiError(ErrorCode.SESSION_REVOKED, 'Your session has ended. Please log in again.');
+  }
+
+  const mfaSetupRequired = Boolean(user.mfa_required && !user.totp_enabled_at);
+
+  return json({
+    token: signAccessToken(env, user, { sessionId: session.id, mfaSetupRequired }),
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    refreshToken,
+    mfaSetupRequired,
+  });
+}
+
+export const onRequest = defineRoute({}, { POST: refresh });
@@ -1,165 +1,203 @@
 import { Resend } from 'resend';
 import { createClient } from '@supabase/supabase-js';
+import { assertHuman, detectSpam } from '../_lib/abuse.js';
+import { escapeHtml } from '../_lib/email-templates.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../_lib/http.js';
+import { pageResult, paginateDescending, parseLimit } from '../_lib/pagination.js';
+import {
+  REPORT_STATUSES,
+  REPORT_TYPES,
+  REPORT_TYPE_LABELS,
+  generateReference,
+  sendReportAcknowledgement,
+  toReport,
+} from '../_lib/reports.js';
+import { defineRoute } from '../_lib/route.js';
+import { isUuid } from '../_lib/validation.js';
 
-const allowedOrigins = [
-  'https://www.warmthly.org',
-  'https://mint.warmthly.org',
-  'https://post.warmthly.org',
-  'https://admin.warmthly.org',
-];
-
-const VALID_REPORT_TYPES = ['media', 'concern', 'admin', 'other'];
 const MAX_MESSAGE_LENGTH = 5000;
 const MAX_NAME_LENGTH = 200;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
 
-export async function onRequest(context) {
-  const { request, env } = context;
+async function submitReport({ request, env }) {
+  const body = await readJson(request);
+  const { name, email, type, message } = body;
 
-  const origin = request.headers.get('Origin') || '';
-  const isAllowedOrigin = allowedOrigins.includes(origin);
+  await assertHuman(request, env, body, { context: 'reports' });
 
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : allowedOrigins[0],
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-  };
+  // Validate name
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Name is required.');
+  }
 
-  if (request.method === 'OPTIONS') {
-    return new Response(null, { headers: corsHeaders });
+  const sanitizedName = name.trim().substring(0, MAX_NAME_LENGTH);
+  if (sanitizedName.length === 0) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Name cannot be empty.');
   }
 
-  if (request.method !== 'POST') {
-    return new Response('Method Not Allowed', { status: 405, headers: corsHeaders });
+  // Validate email
+  if (!email || typeof email !== 'string') {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Email address is required.');
   }
 
-  if (!isAllowedOrigin) {
-    return new Response('Forbidden: Invalid origin', { status: 403 });
+  const emailRegex = /^[^\s@]+@[^\s@][^\s.@]*\.[^\s@]+$/;
+  if (!emailRegex.test(email.trim())) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Invalid email address format.');
   }
 
-  try {
-    const body = await request.json();
-    const { name, email, type, message } = body;
+  // Validate report type
+  if (!type || typeof type !== 'string' || !REPORT_TYPES.includes(type)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `Invalid report type. Must be one of: ${REPORT_TYPES.join(', ')}.`);
+  }
 
-    // Validate name
-    if (!name || typeof name !== 'string' || !name.trim()) {
-      return new Response(
-        JSON.stringify({ error: { message: 'Name is required.' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  // Validate message
+  if (!message || typeof message !== 'string' || !message.trim()) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Message is required.');
+  }
 
-    const sanitizedName = name.trim().substring(0, MAX_NAME_LENGTH);
-    if (sanitizedName.length === 0) {
-      return new Response(
-        JSON.stringify({ error: { message: 'Name cannot be empty.' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  const sanitizedMessage = message.trim().substring(0, MAX_MESSAGE_LENGTH);
+  if (sanitizedMessage.length === 0) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Message cannot be empty.');
+  }
 
-    // Validate email
-    if (!email || typeof email !== 'string') {
-      return new Response(
-        JSON.stringify({ error: { message: 'Email address is required.' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  // Likely spam is stored for review but nobody is emailed about it
+  const spamCheck = detectSpam(env, { name: sanitizedName, message: sanitizedMessage });
+  if (spamCheck.spam) {
+    console.warn('[reports] Report flagged as spam:', spamCheck.reasons);
+  }
 
-    const emailRegex = /^[^\s@]+@[^\s@][^\s.@]*\.[^\s@]+$/;
-    if (!emailRegex.test(email.trim())) {
-      return new Response(
-        JSON.stringify({ error: { message: 'Invalid email address format.' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
+  // Store report in Supabase. The reference is generated here rather than read
+  // back, since the anon key can insert reports but not select them.
+  let reference = null;
+  if (env.SUPABASE_URL && env.SUPABASE_ANON_KEY) {
+    try {
+      const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY);
+      const candidate = generateReference();
+      const { error: dbError } = await supabase.from('reports').insert({
+        reference: candidate,
+        name: sanitizedName,
+        email: email.trim(),
+        type,
+        message: sanitizedMessage,
+        spam: spamCheck.spam,
+        spam_reasons: spamCheck.reasons,
+      });
+      if (dbError) throw dbError;
+      reference = candidate;
+    } catch (dbError) {
+      console.error('[reports] Failed to store report in Supabase:', dbError);
+      // Continue even if DB storage fails
     }
+  }
 
-    // Validate report type
-    if (!type || typeof type !== 'string' || !VALID_REPORT_TYPES.includes(type)) {
-      return new Response(
-        JSON.stringify({ error: { message: `Invalid report type. Must be one of: ${VALID_REPORT_TYPES.join(', ')}.` } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
+  // Send email notification if Resend is configured
+  const adminEmail = env.ADMIN_EMAIL || 'desk@warmthly.org';
+  const resendApiKey = env.RESEND_API_KEY;
+
+  if (resendApiKey && !spamCheck.spam) {
+    try {
+      const resend = new Resend(resendApiKey);
+      const reportTypeLabel = REPORT_TYPE_LABELS[type] || type;
+      const emailSubject = `[Warmthly Report] ${reportTypeLabel} from ${sanitizedName.replace(/[\r\n]+/g, ' ')}`;
+      const emailHtml = `
+        <h2>New Report Submitted</h2>
+        <p><strong>Reference:</strong> ${escapeHtml(reference || 'not stored')}</p>
+        <p><strong>Type:</strong> ${escapeHtml(reportTypeLabel)}</p>
+        <p><strong>From:</strong> ${escapeHtml(sanitizedName)} (${escapeHtml(email.trim())})</p>
+        <p><strong>Submitted:</strong> ${new Date().toLocaleString()}</p>
+        <hr>
+        <h3>Message:</h3>
+        <p style="white-space: pre-wrap;">${escapeHtml(sanitizedMessage).replace(/\n/g, '<br>')}</p>
+      `;
+
+      await resend.emails.send({
+        from: 'The Warmthly Desk <desk@warmthly.org>',
+        to: [adminEmail],
+        subject: emailSubject,
+        html: emailHtml,
+        replyTo: email.trim(),
+      });
+    } catch (emailError) {
+      console.error('[reports] Error sending email notification:', emailError);
+      // Continue even if email fails
     }
+  }
 
-    // Validate message
-    if (!message || typeof message !== 'string' || !message.trim()) {
-      return new Response(
-        JSON.stringify({ error: { message: 'Message is required.' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  // Only a stored report has a reference the reporter can look up
+  if (reference && !spamCheck.spam) {
+    await sendReportAcknowledgement(env, { name: sanitizedName, email: email.trim(), reference });
+  }
 
-    const sanitizedMessage = message.trim().substring(0, MAX_MESSAGE_LENGTH);
-    if (sanitizedMessage.length === 0) {
-      return new Response(
-        JSON.stringify({ error: { message: 'Message cannot be empty.' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  return json({ message: 'Report submitted successfully. We will review it promptly.', reference });
+}
 
-    // Store report in Supabase
-    if (env.SUPABASE_URL && env.SUPABASE_ANON_KEY) {
-      try {
-        const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY);
-        await supabase.from('reports').insert({
-          name: sanitizedName,
-          email: email.trim(),
-          type,
-          message: sanitizedMessage,
-        });
-      } catch (dbError) {
-        console.error('[reports] Failed to store report in Supabase:', dbError);
-        // Continue even if DB storage fails
-      }
-    }
+// Lists reports, newest first, a page at a time. Query parameters:
+// - `cursor` / `limit`: as for the inbox, up to 100 per page
+// - `type`: one of the report types
+// - `status`: one or more statuses, comma separated
+// - `assignedTo`: an admin id, `me`, or `none` for unassigned reports
+// - `spam`: true to see reports flagged as spam instead of the rest
+async function listReports({ request, env, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const { searchParams } = new URL(request.url);
+  const limit = parseLimit(searchParams, { defaultLimit: DEFAULT_LIMIT, maxLimit: MAX_LIMIT });
+  const type = searchParams.get('type');
+  const statuses = searchParams.get('status') ? searchParams.get('status').split(',') : [];
+  const assignedTo = searchParams.get('assignedTo');
+  const spam = searchParams.get('spam') ?? 'false';
+
+  if (!['true', 'false'].includes(spam)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'spam must be true or false.');
+  }
 
-    // Send email notification if Resend is configured
-    const adminEmail = env.ADMIN_EMAIL || 'desk@warmthly.org';
-    const resendApiKey = env.RESEND_API_KEY;
-    
-    if (resendApiKey) {
-      try {
-        const resend = new Resend(resendApiKey);
-        const reportTypeLabels = {
-          media: 'Media Inquiry',
-          concern: 'Concern or Complaint',
-          admin: 'Administrative Issue',
-          other: 'Other',
-        };
-        const reportTypeLabel = reportTypeLabels[type] || type;
-        const emailSubject = `[Warmthly Report] ${reportTypeLabel} from ${sanitizedName}`;
-        const emailHtml = `
-          <h2>New Report Submitted</h2>
-          <p><strong>Type:</strong> ${reportTypeLabel}</p>
-          <p><strong>From:</strong> ${sanitizedName} (${email.trim()})</p>
-          <p><strong>Submitted:</strong> ${new Date().toLocaleString()}</p>
-          <hr>
-          <h3>Message:</h3>
-          <p style="white-space: pre-wrap;">${sanitizedMessage.replace(/\n/g, '<br>')}</p>
-        `;
-
-        await resend.emails.send({
-          from: 'The Warmthly Desk <desk@warmthly.org>',
-          to: [adminEmail],
-          subject: emailSubject,
-          html: emailHtml,
-          replyTo: email.trim(),
-        });
-      } catch (emailError) {
-        console.error('[reports] Error sending email notification:', emailError);
-        // Continue even if email fails
-      }
-    }
+  if (type && !REPORT_TYPES.includes(type)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `type must be one of: ${REPORT_TYPES.join(', ')}.`);
+  }
+
+  if (statuses.some((status) => !REPORT_STATUSES.includes(status))) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `status must be one or more of: ${REPORT_STATUSES.join(', ')}.`);
+  }
+
+  if (assignedTo && !['me', 'none'].includes(assignedTo) && !isUuid(assignedTo)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'assignedTo must be an admin id, me or none.');
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
 
-    return new Response(
-      JSON.stringify({ message: 'Report submitted successfully. We will review it promptly.' }),
-      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
-  } catch (error) {
-    console.error('[reports] Unexpected error:', error);
-    return new Response(
-      JSON.stringify({ error: { message: 'Internal Server Error' } }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
+  let query = supabase.from('reports').select('*').eq('spam', spam === 'true');
+
+  if (type) {
+    query = query.eq('type', type);
+  }
+  if (statuses.length > 0) {
+    query = query.in('status', statuses);
+  }
+  if (assignedTo === 'none') {
+    query = query.is('assigned_to', null);
+  } else if (assignedTo) {
+    query = query.eq('assigned_to', assignedTo === 'me' ? user.sub : assignedTo);
+  }
+
+  const { data, error } = await paginateDescending(query, {
+    column: 'created_at',
+    cursor: searchParams.get('cursor'),
+    limit,
+  });
+
+  if (error) {
+    console.error('[reports] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch reports.');
   }
+
+  const { items, nextCursor } = pageResult(data, { column: 'created_at', limit });
+
+  return json({ reports: items.map(toReport), nextCursor });
 }
 
+// Submitting is public; the list is for the desk
+export const onRequest = defineRoute({}, {
+  POST: { handler: submitReport, rateLimit: 'reports' },
+  GET: { handler: listReports, roles: ['owner', 'desk'] },
+});
@@ -0,0 +1,120 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../_lib/http.js';
+import {
+  REPORT_STATUSES,
+  fetchReport,
+  parseReportId,
+  recordReportEvent,
+  toReport,
+  toReportEvent,
+} from '../../_lib/reports.js';
+import { defineRoute } from '../../_lib/route.js';
+import { isUuid } from '../../_lib/validation.js';
+
+// A report with its history (status changes, assignments, notes and replies), oldest first
+async function getReport({ env, params }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const id = parseReportId(params);
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const report = await fetchReport(supabase, id);
+
+  const { data: events, error } = await supabase
+    .from('report_events')
+    .select('*')
+    .eq('report_id', id)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) {
+    console.error('[reports] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch report.');
+  }
+
+  return json({ ...toReport(report), history: events.map(toReportEvent) });
+}
+
+// Moves a report through the workflow: `status` and `assignedTo` (an admin id,
+// or null to unassign). Each change is added to the report's history.
+async function updateReport({ request, env, params, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const id = parseReportId(params);
+  const body = await readJson(request);
+  const { status, assignedTo } = body;
+
+  if (status === undefined && assignedTo === undefined) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Nothing to update.');
+  }
+
+  if (status !== undefined && !REPORT_STATUSES.includes(status)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `status must be one of: ${REPORT_STATUSES.join(', ')}.`);
+  }
+
+  if (assignedTo !== undefined && assignedTo !== null && !isUuid(assignedTo)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'assignedTo must be an admin id or null.');
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  if (assignedTo) {
+    const { data: admin, error: adminError } = await supabase
+      .from('admin_users')
+      .select('id')
+      .eq('id', assignedTo)
+      .is('disabled_at', null)
+      .maybeSingle();
+
+    if (adminError) {
+      console.error('[reports] Supabase error:', adminError);
+      throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to update report.');
+    }
+    if (!admin) {
+      throw new ApiError(ErrorCode.VALIDATION_ERROR, 'assignedTo must be an active admin.');
+    }
+  }
+
+  const report = await fetchReport(supabase, id);
+  const update = {};
+  const events = [];
+
+  if (status !== undefined && status !== report.status) {
+    update.status = status;
+    events.push({ type: 'status_change', data: { from: report.status, to: status } });
+  }
+
+  if (assignedTo !== undefined && assignedTo !== report.assigned_to) {
+    update.assigned_to = assignedTo;
+    events.push({ type: 'assignment', data: { from: report.assigned_to, to: assignedTo } });
+  }
+
+  // Setting a report to what it already is is not an error, and not history either
+  if (events.length === 0) {
+    return json(toReport(report));
+  }
+
+  const { data, error } = await supabase
+    .from('reports')
+    .update({ ...update, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select('*')
+    .single();
+
+  if (error) {
+    console.error('[reports] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to update report.');
+  }
+
+  try {
+    for (const event of events) {
+      await recordReportEvent(supabase, id, { ...event, actorId: user.sub });
+    }
+  } catch (eventError) {
+    console.error('[reports] Failed to record report history:', eventError);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'The report was updated but its history could not be recorded.');
+  }
+
+  return json(toReport(data));
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'desk'] }, { GET: getReport, PATCH: updateReport });
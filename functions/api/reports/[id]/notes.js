@@ -0,0 +1,38 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../../_lib/http.js';
+import { fetchReport, parseReportId, recordReportEvent, toReportEvent, touchReport } from '../../../_lib/reports.js';
+import { defineRoute } from '../../../_lib/route.js';
+
+const MAX_NOTE_LENGTH = 5000;
+
+// Internal notes are only ever seen by admins; use /reply to write to the reporter
+async function addNote({ request, env, params, data: { user } }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const id = parseReportId(params);
+  const { body } = await readJson(request);
+
+  if (!body || typeof body !== 'string' || !body.trim()) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Note body is required.');
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  await fetchReport(supabase, id);
+
+  let event;
+  try {
+    event = await recordReportEvent(supabase, id, {
+      type: 'note',
+      actorId: user.sub,
+      body: body.trim().substring(0, MAX_NOTE_LENGTH),
+    });
+    await touchReport(supabase, id);
+  } catch (error) {
+    console.error('[reports] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to add note.');
+  }
+
+  return json(toReportEvent(event), 201);
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'desk'] }, { POST: addNote });
@@ -0,0 +1,83 @@
+import { createClient } from '@supabase/supabase-js';
+import { sendDeskEmail } from '../../../_lib/desk-email.js';
+import { htmlToText } from '../../../_lib/email-templates.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../../_lib/http.js';
+import {
+  fetchReport,
+  parseReportId,
+  recordReportEvent,
+  toReportEvent,
+  touchReport,
+} from '../../../_lib/reports.js';
+import { defineRoute } from '../../../_lib/route.js';
+
+const MAX_SUBJECT_LENGTH = 200;
+
+// Emails the person who submitted the report and records the reply in the
+// report's history. Every reply to a report shares one thread, so answers from
+// the reporter land alongside them in the inbox.
+async function replyToReport({ request, env, params, data: { user } }) {
+  requireEnv(env, ['RESEND_API_KEY'], 'Email service is not configured. Please contact the administrator.');
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const id = parseReportId(params);
+  const { subject, html } = await readJson(request);
+
+  if (subject !== undefined && (typeof subject !== 'string' || !subject.trim())) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Email subject cannot be empty.');
+  }
+
+  const text = typeof html === 'string' ? htmlToText(html) : '';
+  if (!text.trim()) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Reply body cannot be empty.');
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const report = await fetchReport(supabase, id);
+
+  if (!report.email) {
+    throw new ApiError(ErrorCode.INVALID_STATE, 'This report has no email address to reply to.');
+  }
+
+  const threadId = report.thread_id || crypto.randomUUID();
+  const replySubject = (subject?.trim() || 'Re: Your report to Warmthly').substring(0, MAX_SUBJECT_LENGTH);
+
+  const sent = await sendDeskEmail(env, supabase, {
+    to: report.email,
+    subject: replySubject,
+    html,
+    text,
+    sentBy: user,
+    threadId,
+    context: 'reports',
+  });
+
+  let event;
+  try {
+    if (!report.thread_id) {
+      const { error } = await supabase.from('reports').update({ thread_id: threadId }).eq('id', id);
+      if (error) throw error;
+    }
+
+    event = await recordReportEvent(supabase, id, {
+      type: 'reply',
+      actorId: user.sub,
+      body: text,
+      data: {
+        subject: replySubject,
+        html,
+        resendId: sent.resendId,
+        messageId: sent.messageId,
+        outboundEmailId: sent.outboundEmailId,
+      },
+    });
+    await touchReport(supabase, id);
+  } catch (error) {
+    console.error('[reports] Failed to record reply:', { reportId: id, resendId: sent.resendId, error });
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'The reply was sent but could not be added to the report history.');
+  }
+
+  return json(toReportEvent(event), 201);
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'desk'], rateLimit: 'sendEmail' }, { POST: replyToReport });
@@ -0,0 +1,47 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../../_lib/http.js';
+import { normalizeReference, toPublicReport } from '../../_lib/reports.js';
+import { defineRoute } from '../../_lib/route.js';
+import { normalizeEmail } from '../../_lib/suppressions.js';
+
+// Lets a reporter check on their report with the reference from their
+// acknowledgement email and the address it went to. A POST, so the email
+// address stays out of URLs and logs.
+async function lookupReportStatus({ request, env }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const { reference, email } = await readJson(request);
+
+  if (!reference || typeof reference !== 'string' || !email || typeof email !== 'string') {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Reference and email address are required.');
+  }
+
+  // A wrong reference and a wrong email get the same answer, so neither can be probed on its own
+  const notFound = new ApiError(ErrorCode.NOT_FOUND, 'No report matches that reference and email address.');
+
+  const normalized = normalizeReference(reference);
+  if (!normalized) {
+    throw notFound;
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  const { data: report, error } = await supabase
+    .from('reports')
+    .select('reference, email, type, status, created_at, updated_at')
+    .eq('reference', normalized)
+    .maybeSingle();
+
+  if (error) {
+    console.error('[reports/status] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to look up report.');
+  }
+
+  if (!report || normalizeEmail(report.email) !== normalizeEmail(email)) {
+    throw notFound;
+  }
+
+  return json(toPublicReport(report));
+}
+
+export const onRequest = defineRoute({ rateLimit: 'reportStatus' }, { POST: lookupReportStatus });
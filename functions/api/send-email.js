@@ -1,11 +1,9 @@
-import { Resend } from 'resend';
-
-const allowedOrigins = [
-  'https://www.warmthly.org',
-  'https://mint.warmthly.org',
-  'https://post.warmthly.org',
-  'https://admin.warmthly.org',
-];
+import { createClient } from '@supabase/supabase-js';
+import { sendDeskEmail } from '../_lib/desk-email.js';
+import { htmlToText, loadTemplate, renderTemplate } from '../_lib/email-templates.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../_lib/http.js';
+import { defineRoute } from '../_lib/route.js';
+import { isValidEmail } from '../_lib/validation.js';
 
 const MAX_SUBJECT_LENGTH = 200;
 
@@ -13,12 +11,12 @@ function isEmptyHTML(html) {
   if (!html || typeof html !== 'string') {
     return true;
   }
-  
+
   const trimmed = html.trim();
   if (!trimmed) {
     return true;
   }
-  
+
   const emptyPatterns = [
     /^<p>\s*<\/p>$/i,
     /^<p><br\s*\/?><\/p>$/i,
@@ -26,110 +24,110 @@ function isEmptyHTML(html) {
     /^<p>&nbsp;<\/p>$/i,
     /^<p>\s*&nbsp;\s*<\/p>$/i,
   ];
-  
+
   return emptyPatterns.some(pattern => pattern.test(trimmed));
 }
 
-function isValidEmail(email) {
-  if (!email || typeof email !== 'string') {
-    return false;
+// Builds the message from either a stored template (`templateId` + `variables`,
+// with `subject` optionally overriding the template's) or raw `subject` + `html`
+async function composeMessage(supabase, { subject, html, templateId, variables }) {
+  if (templateId !== undefined) {
+    if (!templateId || typeof templateId !== 'string') {
+      throw new ApiError(ErrorCode.VALIDATION_ERROR, 'templateId must be a template name.');
+    }
+
+    const rendered = renderTemplate(await loadTemplate(supabase, templateId), variables);
+    if (subject !== undefined) {
+      if (typeof subject !== 'string' || !subject.trim()) {
+        throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Email subject cannot be empty.');
+      }
+      rendered.subject = subject.trim();
+    }
+    return { ...rendered, templateId };
   }
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email.trim());
-}
 
-export async function onRequest(context) {
-  const { request, env } = context;
+  if (!subject || typeof subject !== 'string' || !subject.trim()) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Email subject is required.');
+  }
 
-  const origin = request.headers.get('Origin') || '';
-  const isAllowedOrigin = allowedOrigins.includes(origin);
+  if (isEmptyHTML(html || '')) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Email body cannot be empty.');
+  }
 
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : allowedOrigins[0],
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-  };
+  return { subject: subject.trim(), html, text: htmlToText(html), templateId: null };
+}
 
-  if (request.method === 'OPTIONS') {
-    return new Response(null, { headers: corsHeaders });
+// Threading headers for a reply to a received email, so the recipient's mail
+// client keeps the conversation together
+async function replyContext(supabase, replyToEmailId) {
+  if (replyToEmailId === undefined || replyToEmailId === null) {
+    return { threadId: crypto.randomUUID(), headers: {}, replyToEmailId: null };
   }
 
-  if (request.method !== 'POST') {
-    return new Response('Method Not Allowed', { status: 405, headers: corsHeaders });
+  if (!Number.isInteger(replyToEmailId)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'replyToEmailId must be an email id.');
   }
 
-  if (!isAllowedOrigin) {
-    return new Response('Forbidden: Invalid origin', { status: 403 });
-  }
+  const { data: original, error } = await supabase
+    .from('emails')
+    .select('id, message_id, references, thread_id')
+    .eq('id', replyToEmailId)
+    .maybeSingle();
 
-  try {
-    if (!env.RESEND_API_KEY) {
-      console.error('[send-email] RESEND_API_KEY is not configured');
-      return new Response(
-        JSON.stringify({ error: { message: 'Email service is not configured. Please contact the administrator.' } }),
-        { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  if (error) {
+    console.error('[send-email] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to send email. Please try again.');
+  }
 
-    const body = await request.json();
-    const { to, subject, html } = body;
+  if (!original) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'The email being replied to was not found.');
+  }
 
-    if (!to || typeof to !== 'string') {
-      return new Response(
-        JSON.stringify({ error: { message: 'Recipient email address is required.' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  const references = [...(original.references || []), original.message_id].filter(Boolean);
 
-    if (!isValidEmail(to)) {
-      return new Response(
-        JSON.stringify({ error: { message: 'Invalid email address format.' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  return {
+    threadId: original.thread_id || crypto.randomUUID(),
+    replyToEmailId: original.id,
+    headers: original.message_id
+      ? { 'In-Reply-To': `<${original.message_id}>`, References: references.map((id) => `<${id}>`).join(' ') }
+      : {},
+  };
+}
 
-    if (!subject || typeof subject !== 'string' || !subject.trim()) {
-      return new Response(
-        JSON.stringify({ error: { message: 'Email subject is required.' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+// Sends as the desk on behalf of the signed-in admin; see _lib/desk-email.js.
+// Pass `replyToEmailId` to reply to a received email within its thread.
+async function sendEmail({ request, env, data: { user } }) {
+  requireEnv(env, ['RESEND_API_KEY'], 'Email service is not configured. Please contact the administrator.');
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
 
-    if (isEmptyHTML(html || '')) {
-      return new Response(
-        JSON.stringify({ error: { message: 'Email body cannot be empty.' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  const body = await readJson(request);
+  const { to } = body;
 
-    const sanitizedSubject = subject.trim().substring(0, MAX_SUBJECT_LENGTH);
-
-    const resend = new Resend(env.RESEND_API_KEY);
-    const { data, error } = await resend.emails.send({
-      from: 'The Warmthly Desk <desk@warmthly.org>',
-      to: [to.trim()],
-      subject: sanitizedSubject,
-      html: html || '',
-    });
-
-    if (error) {
-      console.error('[send-email] Resend API error:', error);
-      return new Response(
-        JSON.stringify({ error: { message: error.message || 'Failed to send email. Please try again.' } }),
-        { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    }
+  if (!to || typeof to !== 'string') {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Recipient email address is required.');
+  }
 
-    return new Response(
-      JSON.stringify({ message: 'Email sent successfully!', data }),
-      { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
-  } catch (error) {
-    console.error('[send-email] Unexpected error:', error);
-    return new Response(
-      JSON.stringify({ error: { message: 'Internal Server Error. Please try again later.' } }),
-      { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-    );
+  if (!isValidEmail(to)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Invalid email address format.');
   }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const message = await composeMessage(supabase, body);
+  const reply = await replyContext(supabase, body.replyToEmailId);
+
+  const sent = await sendDeskEmail(env, supabase, {
+    to: to.trim(),
+    subject: message.subject.substring(0, MAX_SUBJECT_LENGTH),
+    html: message.html,
+    text: message.text,
+    templateId: message.templateId,
+    sentBy: user,
+    headers: reply.headers,
+    threadId: reply.threadId,
+    replyToEmailId: reply.replyToEmailId,
+  });
+
+  return json({ message: 'Email sent successfully!', data: { id: sent.resendId }, threadId: sent.threadId });
 }
 
+export const onRequest = defineRoute({ roles: ['owner', 'desk'], rateLimit: 'sendEmail' }, { POST: sendEmail });
@@ -0,0 +1,52 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, requireEnv } from '../../_lib/http.js';
+import { pageResult, paginateDescending, parseLimit } from '../../_lib/pagination.js';
+import { defineRoute } from '../../_lib/route.js';
+import { toThankYou } from '../../_lib/thank-yous.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+const STATUSES = ['pending', 'sending', 'sent', 'failed', 'skipped'];
+
+// Lists donation thank-you emails, newest first, with whether each was sent.
+// Query parameters: `cursor` / `limit`, `status` and `transactionId`.
+async function listThankYous({ request, env }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const { searchParams } = new URL(request.url);
+  const limit = parseLimit(searchParams, { defaultLimit: DEFAULT_LIMIT, maxLimit: MAX_LIMIT });
+  const status = searchParams.get('status');
+  const transactionId = searchParams.get('transactionId');
+
+  if (status !== null && !STATUSES.includes(status)) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, `status must be one of: ${STATUSES.join(', ')}.`);
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  let query = supabase.from('donation_thank_yous').select('*');
+
+  if (status) {
+    query = query.eq('status', status);
+  }
+  if (transactionId) {
+    query = query.eq('transaction_id', transactionId);
+  }
+
+  const { data, error } = await paginateDescending(query, {
+    column: 'created_at',
+    cursor: searchParams.get('cursor'),
+    limit,
+  });
+
+  if (error) {
+    console.error('[thank-yous] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch thank-you emails.');
+  }
+
+  const { items, nextCursor } = pageResult(data, { column: 'created_at', limit });
+
+  return json({ thankYous: items.map(toThankYou), nextCursor });
+}
+
+export const onRequest = defineRoute({ roles: ['owner', 'finance', 'desk'] }, { GET: listThankYous });
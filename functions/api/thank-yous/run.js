@@ -0,0 +1,25 @@
+import { constantTimeCompare } from '../../_lib/crypto.js';
+import { ApiError, ErrorCode, json, requireEnv } from '../../_lib/http.js';
+import { defineRoute } from '../../_lib/route.js';
+import { sendDueThankYous } from '../../_lib/thank-yous.js';
+
+// Called by the scheduler with `Authorization: Bearer <CRON_SECRET>`, like
+// /api/recurring-donations/run. Needed when THANK_YOU_DELAY_MINUTES is set,
+// and to retry sends that failed.
+async function runThankYous({ request, env }) {
+  requireEnv(env, ['CRON_SECRET'], 'Scheduler not configured');
+
+  const authHeader = request.headers.get('Authorization') || '';
+  const secret = authHeader.startsWith('Bearer ') ? authHeader.slice('Bearer '.length) : '';
+
+  if (!constantTimeCompare(secret, env.CRON_SECRET)) {
+    throw new ApiError(ErrorCode.UNAUTHORIZED, 'Authentication required.');
+  }
+
+  requireEnv(env, ['RESEND_API_KEY'], 'Email service is not configured. Please contact the administrator.');
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  return json(await sendDueThankYous(env));
+}
+
+export const onRequest = defineRoute({ origin: 'any' }, { POST: runThankYous });
@@ -0,0 +1,41 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from '../_lib/http.js';
+import { verifyUnsubscribe } from '../_lib/newsletter.js';
+import { defineRoute } from '../_lib/route.js';
+import { normalizeEmail, suppressEmail } from '../_lib/suppressions.js';
+
+// Adds an address to the suppression list. Called two ways:
+// - by the unsubscribe page, with `{ email, sig }` from the emailed link as JSON
+// - by mail clients, as an RFC 8058 one-click POST to the List-Unsubscribe URL,
+//   which carries email and sig in the query string and has no Origin header
+async function unsubscribe({ request, env }) {
+  requireEnv(env, ['UNSUBSCRIBE_SECRET'], 'Email service is not configured.');
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const url = new URL(request.url);
+  const isJson = (request.headers.get('Content-Type') || '').includes('application/json');
+  const { email, sig } = isJson ? await readJson(request) : Object.fromEntries(url.searchParams);
+
+  if (!(await verifyUnsubscribe(env, email, sig))) {
+    throw new ApiError(ErrorCode.NOT_FOUND, 'Invalid or expired unsubscribe link.');
+  }
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  await suppressEmail(supabase, email, 'unsubscribed');
+
+  const { error } = await supabase
+    .from('newsletter_subscribers')
+    .update({ unsubscribed_at: new Date().toISOString() })
+    .eq('email', normalizeEmail(email))
+    .is('unsubscribed_at', null);
+
+  if (error) {
+    // The suppression above already stops further mail, so this isn't fatal
+    console.error('[unsubscribe] Failed to update subscriber:', error);
+  }
+
+  return json({ message: 'You have been unsubscribed from Warmthly emails.' });
+}
+
+export const onRequest = defineRoute({ origin: 'any' }, { POST: unsubscribe });
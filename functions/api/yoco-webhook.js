@@ -0,0 +1,147 @@
+import { createClient } from '@supabase/supabase-js';
+import { ApiError, ErrorCode, json, requireEnv } from '../_lib/http.js';
+import { flagRefundedReceipt } from '../_lib/receipts.js';
+import { recordRefund } from '../_lib/refunds.js';
+import { defineRoute } from '../_lib/route.js';
+import { sendThankYousInBackground } from '../_lib/thank-yous.js';
+import { verifyWebhookSignature } from '../_lib/webhooks.js';
+
+async function findDonation(supabase, transactionId, paymentId) {
+  if (!transactionId && !paymentId) {
+    return null;
+  }
+
+  let query = supabase.from('donations').select('*');
+  query = transactionId
+    ? query.eq('transaction_id', transactionId)
+    : query.eq('payment_id', paymentId);
+
+  const { data, error } = await query.maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function handlePaymentSucceeded(supabase, payment) {
+  const metadata = payment.metadata || {};
+  const transactionId = metadata.checkoutId || payment.id;
+  const existing = await findDonation(supabase, transactionId);
+
+  if (existing) {
+    // A refund may already have been processed if events arrive out of order
+    if (['succeeded', 'partially_refunded', 'refunded'].includes(existing.status)) {
+      return 'ignored';
+    }
+
+    const { error } = await supabase
+      .from('donations')
+      .update({
+        status: 'succeeded',
+        payment_id: payment.id,
+        amount: payment.amount,
+        currency: payment.currency,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', existing.id);
+    if (error) throw error;
+    return 'updated';
+  }
+
+  const { error } = await supabase.from('donations').insert({
+    transaction_id: transactionId,
+    payment_id: payment.id,
+    status: 'succeeded',
+    amount: payment.amount,
+    currency: payment.currency || 'ZAR',
+    donor: metadata.donorName || 'Anonymous',
+    donor_email: metadata.donorEmail || null,
+    purpose: metadata.purpose || 'N/A',
+    category: metadata.category || 'General',
+    campaign: metadata.campaign || null,
+    date: payment.createdDate ? new Date(payment.createdDate).toISOString() : new Date().toISOString(),
+  });
+
+  if (error) {
+    // Another delivery of the same event inserted the row first
+    if (error.code === '23505') {
+      return handlePaymentSucceeded(supabase, payment);
+    }
+    throw error;
+  }
+  return 'inserted';
+}
+
+async function handlePaymentFailed(supabase, payment) {
+  const metadata = payment.metadata || {};
+  const existing = await findDonation(supabase, metadata.checkoutId || payment.id);
+
+  // Nothing was recorded for this checkout, and a failed payment is not a donation
+  if (!existing || existing.status !== 'pending') {
+    return 'ignored';
+  }
+
+  const { error } = await supabase
+    .from('donations')
+    .update({ status: 'failed', payment_id: payment.id, updated_at: new Date().toISOString() })
+    .eq('id', existing.id);
+  if (error) throw error;
+  return 'updated';
+}
+
+async function handleRefundSucceeded(supabase, refund) {
+  const metadata = refund.metadata || {};
+  const existing = await findDonation(supabase, metadata.checkoutId, refund.paymentId);
+
+  if (!existing || existing.status === 'refunded') {
+    return 'ignored';
+  }
+
+  const amount = refund.amount || existing.amount - (existing.refunded_amount || 0);
+  await recordRefund(supabase, existing, {
+    amount,
+    reason: 'Refunded in Yoco',
+    refundedBy: null,
+    yocoRefundId: refund.id,
+  });
+  await flagRefundedReceipt(supabase, existing.id, { amount, yocoRefundId: refund.id });
+  return 'updated';
+}
+
+const EVENT_HANDLERS = {
+  'payment.succeeded': handlePaymentSucceeded,
+  'payment.failed': handlePaymentFailed,
+  'refund.succeeded': handleRefundSucceeded,
+};
+
+async function receiveWebhook({ request, env, waitUntil }) {
+  requireEnv(env, ['YOCO_WEBHOOK_SECRET'], 'Webhook not configured');
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
+
+  const rawBody = await request.text();
+
+  if (!(await verifyWebhookSignature(env.YOCO_WEBHOOK_SECRET, request.headers, rawBody))) {
+    console.error('[yoco-webhook] Invalid webhook signature');
+    throw new ApiError(ErrorCode.INVALID_SIGNATURE, 'Invalid signature');
+  }
+
+  const event = JSON.parse(rawBody);
+  const handler = EVENT_HANDLERS[event.type];
+
+  // Acknowledge events we don't act on so Yoco doesn't keep retrying them
+  if (!handler || !event.payload) {
+    return json({ received: true, result: 'ignored' });
+  }
+
+  // Anything thrown from here becomes a 500, which makes Yoco redeliver the event later
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+  const result = await handler(supabase, event.payload);
+
+  // Recording a settled donation queued its thank-you (see _lib/thank-yous.js)
+  if (event.type === 'payment.succeeded' && result !== 'ignored') {
+    sendThankYousInBackground(env, waitUntil);
+  }
+
+  return json({ received: true, result });
+}
+
+// Called by Yoco's servers, so there is no browser origin to check
+export const onRequest = defineRoute({ origin: 'any' }, { POST: receiveWebhook });
@@ -1,168 +1,227 @@
 import { createClient } from '@supabase/supabase-js';
+import { assertHuman } from './_lib/abuse.js';
+import { authenticate, authorize } from './_lib/auth.js';
+import { toAirtableRecord, validateDonationInput } from './_lib/donations.js';
+import { ApiError, ErrorCode, json, readJson, requireEnv } from './_lib/http.js';
+import { defineRoute } from './_lib/route.js';
+import { sendThankYousInBackground } from './_lib/thank-yous.js';
+import { fetchCheckout } from './_lib/yoco.js';
+
+async function listDonations({ request, env }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_ANON_KEY'], 'Database not configured.');
+
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY);
+
+  const url = new URL(request.url);
+  const limit = parseInt(url.searchParams.get('limit') || '1000', 10);
+  const offset = parseInt(url.searchParams.get('offset') || '0', 10);
+  const category = url.searchParams.get('category');
+
+  let query = supabase
+    .from('donations')
+    .select('*')
+    .in('status', ['succeeded', 'partially_refunded'])
+    .is('deleted_at', null)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + Math.min(limit, 1000) - 1);
+
+  if (category) {
+    query = query.eq('category', category);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('[donations] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to fetch donations from database.');
+  }
+
+  // Format response to match Airtable format for compatibility; new clients
+  // should use /api/donations, which pages properly
+  const records = (data || []).map(toAirtableRecord);
 
-const allowedOrigins = [
-  'https://www.warmthly.org',
-  'https://mint.warmthly.org',
-  'https://post.warmthly.org',
-  'https://admin.warmthly.org',
-];
+  return json({ records, offset });
+}
 
-export async function onRequest(context) {
-  const { request, env } = context;
+// Donations recorded by hand must either come from an admin or match a paid
+// Yoco checkout, so the public list can't be filled with made-up gifts
+async function createDonation({ request, env, waitUntil }) {
+  requireEnv(env, ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY'], 'Database not configured.');
 
-  const origin = request.headers.get('Origin') || '';
-  const isAllowedOrigin = allowedOrigins.includes(origin);
+  const body = await readJson(request);
 
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': isAllowedOrigin ? origin : allowedOrigins[0],
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-  };
+  // Admin tools send a JWT instead of passing the bot checks
+  const admin = request.headers.has('Authorization');
+  if (admin) {
+    authorize(await authenticate(request, env), ['owner', 'finance']);
+  } else {
+    await assertHuman(request, env, body, { context: 'donations' });
+  }
 
-  if (request.method === 'OPTIONS') {
-    return new Response(null, { headers: corsHeaders });
+  const { values, errors } = validateDonationInput(body);
+  if (Object.keys(errors).length > 0) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Invalid donation.', { details: { fields: errors } });
   }
 
-  if (request.method === 'GET') {
+  const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_SERVICE_KEY);
+
+  if (!admin) {
+    const checkout = await verifyCheckout(env, values);
+
+    let recorded;
     try {
-      if (!env.SUPABASE_URL || !env.SUPABASE_ANON_KEY) {
-        console.error('[donations] Supabase not configured');
-        return new Response(
-          JSON.stringify({ error: { message: 'Database not configured.' } }),
-          { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-        );
-      }
-
-      const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY);
-
-      const url = new URL(request.url);
-      const limit = parseInt(url.searchParams.get('limit') || '1000', 10);
-      const offset = parseInt(url.searchParams.get('offset') || '0', 10);
-      const category = url.searchParams.get('category');
-
-      let query = supabase
-        .from('donations')
-        .select('*')
-        .order('created_at', { ascending: false })
-        .range(offset, offset + Math.min(limit, 1000) - 1);
-
-      if (category) {
-        query = query.eq('category', category);
-      }
-
-      const { data, error } = await query;
-
-      if (error) {
-        console.error('[donations] Supabase error:', error);
-        return new Response(
-          JSON.stringify({ error: { message: 'Failed to fetch donations from database.', code: 'DATABASE_ERROR' } }),
-          { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-        );
-      }
-
-      // Format response to match Airtable format for compatibility
-      const records = (data || []).map((donation) => ({
-        id: donation.transaction_id || donation.id,
-        fields: {
-          Amount: donation.amount,
-          Currency: donation.currency,
-          Donor: donation.donor,
-          Purpose: donation.purpose,
-          Category: donation.category,
-          Date: donation.date || donation.created_at,
-          'Transaction ID': donation.transaction_id || donation.id,
-        },
-        createdTime: donation.created_at || donation.date,
-      }));
-
-      return new Response(
-        JSON.stringify({ records, offset }),
-        { status: 200, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    } catch (err) {
-      console.error('[donations] Error:', err);
-      return new Response(
-        JSON.stringify({ error: { message: 'Failed to fetch donations.', code: 'DATABASE_ERROR' } }),
-        { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
+      recorded = await recordCheckoutDonation(supabase, checkout, values);
+    } catch (error) {
+      console.error('[donations] Supabase error:', error);
+      throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to record donation in database.');
+    }
+
+    if (recorded.result === 'deleted') {
+      throw new ApiError(ErrorCode.DUPLICATE, 'Donation with this transaction ID already exists.');
+    }
+
+    // Settling the donation queued its thank-you (see _lib/thank-yous.js)
+    if (recorded.result !== 'existing') {
+      sendThankYousInBackground(env, waitUntil);
     }
+
+    return json(toAirtableRecord(recorded.donation), recorded.result === 'inserted' ? 201 : 200);
   }
 
-  if (request.method === 'POST') {
-    try {
-      if (!env.SUPABASE_URL || !env.SUPABASE_ANON_KEY) {
-        console.error('[donations] Supabase not configured');
-        return new Response(
-          JSON.stringify({ error: { message: 'Database not configured.' } }),
-          { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-        );
-      }
-
-      const body = await request.json();
-      const { transactionId, amount, currency, donor, purpose, category, date } = body;
-
-      if (!transactionId || !amount) {
-        return new Response(
-          JSON.stringify({ error: { message: 'transactionId and amount are required.', code: 'VALIDATION_ERROR' } }),
-          { status: 400, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-        );
-      }
-
-      const supabase = createClient(env.SUPABASE_URL, env.SUPABASE_ANON_KEY);
-
-      const { data, error } = await supabase
-        .from('donations')
-        .insert({
-          transaction_id: transactionId,
-          amount: parseFloat(String(amount)),
-          currency: currency || 'ZAR',
-          donor: donor || 'Anonymous',
-          purpose: purpose || 'N/A',
-          category: category || 'General',
-          date: date ? new Date(date).toISOString() : new Date().toISOString(),
-        })
-        .select()
-        .single();
-
-      if (error) {
-        if (error.code === '23505') { // PostgreSQL unique violation
-          return new Response(
-            JSON.stringify({ error: { message: 'Donation with this transaction ID already exists.', code: 'DUPLICATE' } }),
-            { status: 409, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-          );
-        }
-        console.error('[donations] Supabase error:', error);
-        return new Response(
-          JSON.stringify({ error: { message: 'Failed to create donation in database.', code: 'DATABASE_ERROR' } }),
-          { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-        );
-      }
-
-      return new Response(
-        JSON.stringify({
-          id: data.transaction_id || data.id,
-          fields: {
-            Amount: data.amount,
-            Currency: data.currency,
-            Donor: data.donor,
-            Purpose: data.purpose,
-            Category: data.category,
-            Date: data.date || data.created_at,
-            'Transaction ID': data.transaction_id || data.id,
-          },
-          createdTime: data.created_at || data.date,
-        }),
-        { status: 201, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
-    } catch (err) {
-      console.error('[donations] Error creating donation:', err);
-      return new Response(
-        JSON.stringify({ error: { message: 'Failed to create donation.', code: 'DATABASE_ERROR' } }),
-        { status: 500, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
-      );
+  const { data, error } = await supabase
+    .from('donations')
+    .insert({
+      transaction_id: values.transactionId,
+      status: 'succeeded',
+      amount: values.amount,
+      currency: values.currency,
+      donor: values.donor || 'Anonymous',
+      purpose: values.purpose || 'N/A',
+      category: values.category || 'General',
+      date: values.date || new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') { // PostgreSQL unique violation
+      throw new ApiError(ErrorCode.DUPLICATE, 'Donation with this transaction ID already exists.');
+    }
+    console.error('[donations] Supabase error:', error);
+    throw new ApiError(ErrorCode.DATABASE_ERROR, 'Failed to create donation in database.');
+  }
+
+  return json(toAirtableRecord(data), 201);
+}
+
+// A paid checkout usually has a row already: create-checkout records it as
+// pending and the webhook settles it. A row that is still pending is settled
+// here the way the webhook would, one that is already settled is returned as
+// it is, and only a checkout with no row at all is inserted.
+async function recordCheckoutDonation(supabase, checkout, values) {
+  const metadata = checkout.metadata || {};
+
+  const { data: existing, error: findError } = await supabase
+    .from('donations')
+    .select('*')
+    .eq('transaction_id', values.transactionId)
+    .maybeSingle();
+  if (findError) throw findError;
+
+  if (existing) {
+    if (existing.deleted_at) {
+      return { donation: existing, result: 'deleted' };
     }
+    if (['succeeded', 'partially_refunded', 'refunded'].includes(existing.status)) {
+      return { donation: existing, result: 'existing' };
+    }
+
+    const { data: settled, error } = await supabase
+      .from('donations')
+      .update({
+        status: 'succeeded',
+        payment_id: checkout.paymentId || null,
+        amount: checkout.amount,
+        currency: checkout.currency.toUpperCase(),
+        donor_email: existing.donor_email || metadata.donorEmail || null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', existing.id)
+      .eq('status', existing.status)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+
+    // The webhook settled it in the meantime
+    if (!settled) {
+      return recordCheckoutDonation(supabase, checkout, values);
+    }
+    return { donation: settled, result: 'settled' };
+  }
+
+  const { data: inserted, error } = await supabase
+    .from('donations')
+    .insert({
+      transaction_id: values.transactionId,
+      payment_id: checkout.paymentId || null,
+      status: 'succeeded',
+      amount: checkout.amount,
+      currency: checkout.currency.toUpperCase(),
+      donor: values.donor || metadata.donorName || 'Anonymous',
+      donor_email: metadata.donorEmail || null,
+      purpose: values.purpose || metadata.purpose || 'N/A',
+      category: values.category || metadata.category || 'General',
+      campaign: metadata.campaign || null,
+      date: values.date || new Date().toISOString(),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    // The webhook inserted the row first
+    if (error.code === '23505') {
+      return recordCheckoutDonation(supabase, checkout, values);
+    }
+    throw error;
+  }
+  return { donation: inserted, result: 'inserted' };
+}
+
+// The transaction ID of a public submission is its Yoco checkout, which must
+// have been paid for exactly the amount and currency submitted
+async function verifyCheckout(env, { transactionId, amount, currency }) {
+  requireEnv(env, ['YOCO_SECRET_KEY'], 'Payment service not configured');
+
+  const result = await fetchCheckout(env, transactionId);
+
+  if (!result.success) {
+    if (result.status === 404) {
+      throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Invalid donation.', {
+        details: { fields: { transactionId: 'No Yoco checkout has this transaction ID' } },
+      });
+    }
+    console.error('[donations] Yoco API error:', { status: result.status, error: result.message });
+    throw new ApiError(ErrorCode.UPSTREAM_ERROR, 'Failed to verify the transaction with Yoco. Please try again.');
+  }
+
+  const { checkout } = result;
+  const errors = {};
+
+  if (checkout.status !== 'completed') {
+    errors.transactionId = 'This checkout has not been paid';
+  }
+  if (checkout.amount !== amount) {
+    errors.amount = 'Amount does not match the Yoco checkout';
+  }
+  if (typeof checkout.currency !== 'string' || checkout.currency.toUpperCase() !== currency) {
+    errors.currency = 'Currency does not match the Yoco checkout';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ApiError(ErrorCode.VALIDATION_ERROR, 'Invalid donation.', { details: { fields: errors } });
   }
 
-  return new Response('Method Not Allowed', { status: 405, headers: corsHeaders });
+  return checkout;
 }
 
+export const onRequest = defineRoute({}, { GET: listDonations, POST: createDonation });
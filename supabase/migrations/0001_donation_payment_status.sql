@@ -0,0 +1,10 @@
+-- Track the Yoco payment lifecycle on donations so the webhook can settle them
+alter table donations
+  add column if not exists status text not null default 'succeeded'
+    check (status in ('pending', 'succeeded', 'failed', 'refunded')),
+  add column if not exists payment_id text,
+  add column if not exists updated_at timestamptz;
+
+create unique index if not exists donations_transaction_id_key on donations (transaction_id);
+create index if not exists donations_payment_id_idx on donations (payment_id);
+create index if not exists donations_status_idx on donations (status);
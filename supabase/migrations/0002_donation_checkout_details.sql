@@ -0,0 +1,6 @@
+-- Details collected at checkout, carried through Yoco metadata to the settled donation
+alter table donations
+  add column if not exists donor_email text,
+  add column if not exists campaign text;
+
+create index if not exists donations_campaign_idx on donations (campaign);
@@ -0,0 +1,30 @@
+-- Recurring donations charged against a saved Yoco card token
+create table if not exists recurring_donations (
+  id uuid primary key default gen_random_uuid(),
+  amount integer not null check (amount > 0),
+  currency text not null,
+  interval text not null default 'monthly' check (interval in ('monthly', 'quarterly', 'yearly')),
+  donor_email text not null,
+  donor_name text,
+  purpose text,
+  category text,
+  card_token text not null,
+  cancel_token text not null,
+  status text not null default 'active' check (status in ('active', 'failed', 'cancelled')),
+  billing_day smallint not null check (billing_day between 1 and 31),
+  next_charge_at timestamptz not null,
+  last_charged_at timestamptz,
+  failed_attempts integer not null default 0,
+  last_error text,
+  locked_until timestamptz,
+  cancelled_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists recurring_donations_due_idx on recurring_donations (next_charge_at) where status = 'active';
+
+-- Card and cancel tokens must only ever be read with the service key
+alter table recurring_donations enable row level security;
+
+alter table donations
+  add column if not exists recurring_donation_id uuid references recurring_donations (id);
@@ -0,0 +1,21 @@
+-- Refunds issued against donations, full or partial, and who issued them
+alter table donations drop constraint if exists donations_status_check;
+alter table donations
+  add constraint donations_status_check
+    check (status in ('pending', 'succeeded', 'failed', 'partially_refunded', 'refunded')),
+  add column if not exists refunded_amount integer not null default 0;
+
+create table if not exists donation_refunds (
+  id uuid primary key default gen_random_uuid(),
+  donation_id bigint not null references donations (id),
+  amount integer not null check (amount > 0),
+  reason text,
+  -- Null when the refund was made in the Yoco dashboard and reported by webhook
+  refunded_by text,
+  yoco_refund_id text unique,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists donation_refunds_donation_id_idx on donation_refunds (donation_id);
+
+alter table donation_refunds enable row level security;
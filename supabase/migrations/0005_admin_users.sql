@@ -0,0 +1,15 @@
+-- Individual admin accounts replacing the single shared ADMIN_PASSWORD
+create table if not exists admin_users (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique,
+  name text not null,
+  role text not null check (role in ('owner', 'finance', 'desk', 'viewer')),
+  -- pbkdf2-sha256$<iterations>$<salt>$<hash>, see functions/_lib/passwords.js
+  password_hash text not null,
+  disabled_at timestamptz,
+  last_login_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+alter table admin_users enable row level security;
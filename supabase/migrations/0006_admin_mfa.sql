@@ -0,0 +1,22 @@
+-- TOTP two-factor authentication for admin accounts
+alter table admin_users
+  add column if not exists totp_secret text,
+  -- Set by /api/account/mfa/setup and moved to totp_secret once a code confirms it
+  add column if not exists totp_pending_secret text,
+  add column if not exists totp_enabled_at timestamptz,
+  -- Last time step accepted, so a code can't be used twice
+  add column if not exists totp_last_counter bigint,
+  add column if not exists mfa_required boolean not null default false;
+
+-- One-time recovery codes, stored as SHA-256 hashes
+create table if not exists admin_recovery_codes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references admin_users (id) on delete cascade,
+  code_hash text not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_recovery_codes_user_id_idx on admin_recovery_codes (user_id);
+
+alter table admin_recovery_codes enable row level security;
@@ -0,0 +1,16 @@
+-- Login sessions. Access tokens carry the session id as their jti, so revoking
+-- a session cuts off its access tokens as well as its refresh token.
+create table if not exists admin_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references admin_users (id) on delete cascade,
+  -- SHA-256 of the current refresh token secret; replaced on every refresh
+  refresh_token_hash text not null,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  last_used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists admin_sessions_user_id_idx on admin_sessions (user_id);
+
+alter table admin_sessions enable row level security;
@@ -0,0 +1,59 @@
+-- Sliding-window rate limiting, see functions/_lib/rate-limit.js. Each row is
+-- one request (or one failed login) counted against a key.
+create table if not exists rate_limit_hits (
+  id bigint generated always as identity primary key,
+  key text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists rate_limit_hits_key_created_at_idx on rate_limit_hits (key, created_at);
+
+alter table rate_limit_hits enable row level security;
+
+-- Counts the key's hits inside the window and records a new one unless that
+-- would go over p_limit (null means no limit). Hits older than the window are
+-- dropped on the way.
+create or replace function rate_limit_hit(p_key text, p_window_seconds integer, p_limit integer default null)
+returns table (allowed boolean, hits integer, oldest timestamptz, newest timestamptz)
+language plpgsql
+as $$
+declare
+  v_count integer;
+begin
+  -- Serialises hits on the same key so concurrent requests can't all pass the count
+  perform pg_advisory_xact_lock(hashtext(p_key));
+
+  delete from rate_limit_hits
+  where key = p_key and created_at <= now() - make_interval(secs => p_window_seconds);
+
+  select count(*) into v_count from rate_limit_hits where key = p_key;
+  allowed := p_limit is null or v_count < p_limit;
+
+  if allowed then
+    insert into rate_limit_hits (key) values (p_key);
+  end if;
+
+  select count(*)::integer, min(created_at), max(created_at)
+  into hits, oldest, newest
+  from rate_limit_hits
+  where key = p_key;
+
+  return next;
+end;
+$$;
+
+create or replace function rate_limit_peek(p_key text, p_window_seconds integer)
+returns table (hits integer, oldest timestamptz, newest timestamptz)
+language sql
+stable
+as $$
+  select count(*)::integer, min(created_at), max(created_at)
+  from rate_limit_hits
+  where key = p_key and created_at > now() - make_interval(secs => p_window_seconds);
+$$;
+
+-- Only the API (service role) may call these; they'd otherwise be exposed to the anon key
+revoke execute on function rate_limit_hit(text, integer, integer) from public, anon, authenticated;
+revoke execute on function rate_limit_peek(text, integer) from public, anon, authenticated;
+grant execute on function rate_limit_hit(text, integer, integer) to service_role;
+grant execute on function rate_limit_peek(text, integer) to service_role;
@@ -0,0 +1,18 @@
+-- Every message sent through /api/send-email, so the desk can see what went out in Warmthly's name
+create table if not exists outbound_emails (
+  id bigint generated always as identity primary key,
+  sent_by uuid references admin_users (id) on delete set null,
+  -- Kept alongside sent_by so the record survives the admin account being removed
+  sender_email text not null,
+  from_address text not null,
+  to_address text not null,
+  subject text not null,
+  html text not null,
+  resend_id text,
+  sent_at timestamptz not null default now()
+);
+
+create index if not exists outbound_emails_sent_at_idx on outbound_emails (sent_at desc);
+create index if not exists outbound_emails_to_address_idx on outbound_emails (to_address);
+
+alter table outbound_emails enable row level security;
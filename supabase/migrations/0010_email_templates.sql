@@ -0,0 +1,49 @@
+-- Named email templates with {{variable}} placeholders, see functions/_lib/email-templates.js
+create table if not exists email_templates (
+  id text primary key,
+  name text not null,
+  description text,
+  subject text not null,
+  html text not null,
+  -- Generated from the HTML when empty
+  text text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz
+);
+
+alter table email_templates enable row level security;
+
+insert into email_templates (id, name, description, subject, html) values
+(
+  'donation-thank-you',
+  'Donation thank-you',
+  'Sent to donors after a donation succeeds. Variables: donorName, amount',
+  'Thank you for your donation to Warmthly',
+  '<p>Dear {{donorName}},</p>
+<p>Thank you for your donation of {{amount}} to Warmthly. Your generosity makes our work possible.</p>
+<p>With warm thanks,<br>The Warmthly team</p>'
+),
+(
+  'report-acknowledgement',
+  'Report acknowledgement',
+  'Sent to people who submit a report. Variables: name, reference',
+  'We have received your report ({{reference}})',
+  '<p>Dear {{name}},</p>
+<p>Thank you for getting in touch. We have received your report and will review it promptly.</p>
+<p>Your reference number is <strong>{{reference}}</strong>. Please quote it if you contact us about this report.</p>
+<p>The Warmthly Desk</p>'
+),
+(
+  'newsletter',
+  'Newsletter',
+  'Wrapper for newsletter campaigns. Variables: content (HTML, inserted unescaped), unsubscribeUrl',
+  'News from Warmthly',
+  '{{{content}}}
+<hr>
+<p style="font-size: 12px; color: #666;">You are receiving this because you subscribed to news from Warmthly. <a href="{{unsubscribeUrl}}">Unsubscribe</a></p>'
+)
+on conflict (id) do nothing;
+
+alter table outbound_emails
+  add column if not exists text text,
+  add column if not exists template_id text references email_templates (id) on delete set null;
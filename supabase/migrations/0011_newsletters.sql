@@ -0,0 +1,51 @@
+-- Addresses that have unsubscribed; every send path checks this before emailing
+create table if not exists email_suppressions (
+  email text primary key,
+  reason text not null,
+  created_at timestamptz not null default now()
+);
+
+alter table email_suppressions enable row level security;
+
+create table if not exists newsletter_subscribers (
+  id bigint generated always as identity primary key,
+  email text not null unique,
+  name text,
+  source text,
+  subscribed_at timestamptz not null default now(),
+  unsubscribed_at timestamptz
+);
+
+alter table newsletter_subscribers enable row level security;
+
+create table if not exists newsletter_campaigns (
+  id uuid primary key default gen_random_uuid(),
+  subject text not null,
+  -- Body HTML, wrapped in the `newsletter` email template when sent
+  html text not null,
+  audience text not null check (audience in ('subscribers', 'donors', 'all')),
+  status text not null default 'draft' check (status in ('draft', 'sending', 'sent')),
+  created_by uuid references admin_users (id) on delete set null,
+  -- Held while a request is sending batches, so two requests can't overlap
+  locked_until timestamptz,
+  created_at timestamptz not null default now(),
+  sent_at timestamptz
+);
+
+alter table newsletter_campaigns enable row level security;
+
+create table if not exists newsletter_recipients (
+  id bigint generated always as identity primary key,
+  campaign_id uuid not null references newsletter_campaigns (id) on delete cascade,
+  email text not null,
+  name text,
+  status text not null default 'pending' check (status in ('pending', 'sent', 'failed', 'suppressed')),
+  resend_id text,
+  error text,
+  sent_at timestamptz,
+  unique (campaign_id, email)
+);
+
+create index if not exists newsletter_recipients_campaign_status_idx on newsletter_recipients (campaign_id, status);
+
+alter table newsletter_recipients enable row level security;
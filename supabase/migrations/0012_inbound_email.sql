@@ -0,0 +1,30 @@
+-- Inbound mail for the desk inbox, written by /api/inbound-email. The emails
+-- table used to be filled by an external process, so it may already exist.
+create table if not exists emails (
+  id bigint generated always as identity primary key,
+  created_at timestamptz not null default now()
+);
+
+alter table emails
+  add column if not exists message_id text,
+  add column if not exists in_reply_to text,
+  add column if not exists "references" text[] not null default '{}',
+  -- Shared by every message in a conversation, see functions/_lib/inbox.js
+  add column if not exists thread_id uuid,
+  add column if not exists from_address text,
+  add column if not exists from_name text,
+  add column if not exists to_addresses text[] not null default '{}',
+  add column if not exists cc_addresses text[] not null default '{}',
+  add column if not exists subject text,
+  add column if not exists text_body text,
+  add column if not exists html_body text,
+  -- [{ filename, contentType, size, contentId, inline }]; contents are not stored
+  add column if not exists attachments jsonb not null default '[]',
+  -- The Date header, as opposed to created_at when it reached us
+  add column if not exists sent_at timestamptz,
+  add column if not exists provider_id text;
+
+create unique index if not exists emails_message_id_idx on emails (message_id);
+create index if not exists emails_thread_id_idx on emails (thread_id);
+
+alter table emails enable row level security;
@@ -0,0 +1,25 @@
+-- Desk inbox state and search on received email
+alter table emails
+  add column if not exists read_at timestamptz,
+  add column if not exists archived_at timestamptz,
+  add column if not exists labels text[] not null default '{}',
+  add column if not exists assigned_to uuid references admin_users (id) on delete set null,
+  add column if not exists search_vector tsvector generated always as (
+    to_tsvector(
+      'simple',
+      coalesce(subject, '') || ' ' || coalesce(from_name, '') || ' ' || coalesce(from_address, '') || ' ' || coalesce(text_body, '')
+    )
+  ) stored;
+
+create index if not exists emails_search_vector_idx on emails using gin (search_vector);
+create index if not exists emails_created_at_id_idx on emails (created_at desc, id desc);
+create index if not exists emails_labels_idx on emails using gin (labels);
+
+-- Replies sent from the desk join the thread of the email they answer
+alter table outbound_emails
+  add column if not exists message_id text,
+  add column if not exists thread_id uuid,
+  add column if not exists reply_to_email_id bigint references emails (id) on delete set null;
+
+create index if not exists outbound_emails_message_id_idx on outbound_emails (message_id);
+create index if not exists outbound_emails_thread_id_idx on outbound_emails (thread_id);
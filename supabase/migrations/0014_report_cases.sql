@@ -0,0 +1,41 @@
+-- Case management for reports submitted through /api/reports. The reports
+-- table used to be created by hand, so it may already exist.
+create table if not exists reports (
+  id bigint generated always as identity primary key,
+  name text not null,
+  email text not null,
+  type text not null,
+  message text not null,
+  created_at timestamptz not null default now()
+);
+
+alter table reports
+  add column if not exists status text not null default 'new'
+    check (status in ('new', 'triaged', 'in_progress', 'resolved', 'dismissed')),
+  add column if not exists assigned_to uuid references admin_users (id) on delete set null,
+  -- Shared by every reply to the report, see functions/api/reports/[id]/reply.js
+  add column if not exists thread_id uuid,
+  add column if not exists updated_at timestamptz not null default now();
+
+create index if not exists reports_created_at_id_idx on reports (created_at desc, id desc);
+create index if not exists reports_status_idx on reports (status);
+create index if not exists reports_assigned_to_idx on reports (assigned_to);
+
+-- Reports are submitted with the anon key; everything else goes through the service key
+alter table reports enable row level security;
+drop policy if exists reports_anon_insert on reports;
+create policy reports_anon_insert on reports for insert to anon with check (true);
+
+create table if not exists report_events (
+  id bigint generated always as identity primary key,
+  report_id bigint not null references reports (id) on delete cascade,
+  type text not null check (type in ('status_change', 'assignment', 'note', 'reply')),
+  actor_id uuid references admin_users (id) on delete set null,
+  body text,
+  data jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists report_events_report_id_idx on report_events (report_id, created_at);
+
+alter table report_events enable row level security;
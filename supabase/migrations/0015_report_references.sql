@@ -0,0 +1,6 @@
+-- Reference numbers quoted to reporters, e.g. WR-7KQ2-M9XD, generated by
+-- /api/reports. Reports submitted before this have none.
+alter table reports
+  add column if not exists reference text;
+
+create unique index if not exists reports_reference_idx on reports (reference);
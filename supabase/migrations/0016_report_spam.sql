@@ -0,0 +1,6 @@
+-- Reports that /api/reports flagged as likely spam, kept for review instead of emailed
+alter table reports
+  add column if not exists spam boolean not null default false,
+  add column if not exists spam_reasons text[] not null default '{}';
+
+create index if not exists reports_spam_created_at_idx on reports (spam, created_at desc, id desc);
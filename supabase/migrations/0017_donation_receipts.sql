@@ -0,0 +1,142 @@
+-- Section 18A tax receipts, see functions/_lib/receipts.js. A receipt covers
+-- one donation, or every unreceipted donation a donor made in a tax year.
+create table if not exists donation_receipts (
+  id bigint generated always as identity primary key,
+  -- Sequential and without gaps, as SARS expects; issued by issue_donation_receipt
+  receipt_number bigint not null unique,
+  kind text not null check (kind in ('donation', 'annual')),
+  -- The year of assessment (March to February) an annual receipt covers, named by the year it ends
+  tax_year integer,
+  donor_email text not null,
+  donor_name text not null,
+  -- South African ID number, passport number, or tax/company registration number
+  donor_id_number text not null,
+  donor_address text not null,
+  -- ZAR cents, net of refunds at the time of issue
+  amount bigint not null check (amount > 0),
+  status text not null default 'issued' check (status in ('issued', 'voided')),
+  void_reason text,
+  issued_by uuid references admin_users (id) on delete set null,
+  emailed_at timestamptz,
+  voided_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists donation_receipts_donor_email_idx on donation_receipts (lower(donor_email));
+create index if not exists donation_receipts_created_at_id_idx on donation_receipts (created_at desc, id desc);
+
+create table if not exists donation_receipt_items (
+  receipt_id bigint not null references donation_receipts (id) on delete cascade,
+  donation_id bigint not null references donations (id),
+  amount bigint not null,
+  -- Cleared when the receipt is voided, so the donation can be receipted again
+  active boolean not null default true,
+  primary key (receipt_id, donation_id)
+);
+
+-- A donation is on at most one receipt that hasn't been voided
+create unique index if not exists donation_receipt_items_active_donation_idx
+  on donation_receipt_items (donation_id) where active;
+
+create table if not exists donation_receipt_events (
+  id bigint generated always as identity primary key,
+  receipt_id bigint not null references donation_receipts (id) on delete cascade,
+  type text not null check (type in ('issued', 'emailed', 'regenerated', 'voided')),
+  actor_id uuid references admin_users (id) on delete set null,
+  data jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists donation_receipt_events_receipt_id_idx on donation_receipt_events (receipt_id, created_at);
+
+create table if not exists donation_receipt_counter (
+  id integer primary key default 1 check (id = 1),
+  last_number bigint not null default 0
+);
+
+insert into donation_receipt_counter (id, last_number) values (1, 0) on conflict (id) do nothing;
+
+alter table donation_receipts enable row level security;
+alter table donation_receipt_items enable row level security;
+alter table donation_receipt_events enable row level security;
+alter table donation_receipt_counter enable row level security;
+
+-- Takes the next receipt number and records the receipt, its donations and the
+-- 'issued' event in one transaction, so a failure (such as a donation that is
+-- already receipted, 23505) leaves no gap in the numbering.
+create or replace function issue_donation_receipt(
+  p_donation_ids bigint[],
+  p_kind text,
+  p_tax_year integer,
+  p_donor_email text,
+  p_donor_name text,
+  p_donor_id_number text,
+  p_donor_address text,
+  p_issued_by uuid
+)
+returns donation_receipts
+language plpgsql
+as $$
+declare
+  v_number bigint;
+  v_amount bigint;
+  v_receipt donation_receipts;
+begin
+  select coalesce(sum(amount - refunded_amount), 0) into v_amount
+  from donations
+  where id = any(p_donation_ids);
+
+  update donation_receipt_counter set last_number = last_number + 1 where id = 1
+  returning last_number into v_number;
+
+  insert into donation_receipts (
+    receipt_number, kind, tax_year, donor_email, donor_name, donor_id_number, donor_address, amount, issued_by
+  )
+  values (
+    v_number, p_kind, p_tax_year, p_donor_email, p_donor_name, p_donor_id_number, p_donor_address, v_amount, p_issued_by
+  )
+  returning * into v_receipt;
+
+  insert into donation_receipt_items (receipt_id, donation_id, amount)
+  select v_receipt.id, id, amount - refunded_amount
+  from donations
+  where id = any(p_donation_ids);
+
+  insert into donation_receipt_events (receipt_id, type, actor_id, data)
+  values (v_receipt.id, 'issued', p_issued_by, jsonb_build_object('donationIds', p_donation_ids));
+
+  return v_receipt;
+end;
+$$;
+
+-- Voids a receipt and releases its donations, recording who did it and why
+create or replace function void_donation_receipt(p_receipt_id bigint, p_actor_id uuid, p_reason text)
+returns donation_receipts
+language plpgsql
+as $$
+declare
+  v_receipt donation_receipts;
+begin
+  update donation_receipts
+  set status = 'voided', void_reason = p_reason, voided_at = now(), updated_at = now()
+  where id = p_receipt_id and status = 'issued'
+  returning * into v_receipt;
+
+  if v_receipt.id is null then
+    return null;
+  end if;
+
+  update donation_receipt_items set active = false where receipt_id = p_receipt_id;
+
+  insert into donation_receipt_events (receipt_id, type, actor_id, data)
+  values (p_receipt_id, 'voided', p_actor_id, jsonb_build_object('reason', p_reason));
+
+  return v_receipt;
+end;
+$$;
+
+revoke execute on function issue_donation_receipt(bigint[], text, integer, text, text, text, text, uuid) from public, anon, authenticated;
+revoke execute on function void_donation_receipt(bigint, uuid, text) from public, anon, authenticated;
+grant execute on function issue_donation_receipt(bigint[], text, integer, text, text, text, text, uuid) to service_role;
+grant execute on function void_donation_receipt(bigint, uuid, text) to service_role;
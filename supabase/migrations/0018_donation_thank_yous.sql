@@ -0,0 +1,46 @@
+-- Thank-you emails for donations, sent by functions/_lib/thank-yous.js. Rows
+-- are queued by a trigger, so every path that records a donation is covered
+-- and a donation is only ever thanked once.
+create table if not exists donation_thank_yous (
+  id bigint generated always as identity primary key,
+  donation_id bigint not null references donations (id) on delete cascade,
+  transaction_id text not null unique,
+  status text not null default 'pending' check (status in ('pending', 'sent', 'failed', 'skipped')),
+  template_id text,
+  attempts integer not null default 0,
+  last_error text,
+  resend_id text,
+  -- Set while a run is sending it, so overlapping runs can't both send it
+  claimed_until timestamptz,
+  created_at timestamptz not null default now(),
+  sent_at timestamptz
+);
+
+create index if not exists donation_thank_yous_status_created_at_idx on donation_thank_yous (status, created_at);
+create index if not exists donation_thank_yous_created_at_id_idx on donation_thank_yous (created_at desc, id desc);
+
+alter table donation_thank_yous enable row level security;
+
+create or replace function queue_donation_thank_you()
+returns trigger
+language plpgsql
+as $$
+begin
+  insert into donation_thank_yous (donation_id, transaction_id)
+  values (new.id, new.transaction_id)
+  on conflict (transaction_id) do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists donations_queue_thank_you on donations;
+create trigger donations_queue_thank_you
+  after insert or update of status on donations
+  for each row
+  when (new.status = 'succeeded' and new.donor_email is not null and new.transaction_id is not null)
+  execute function queue_donation_thank_you();
+
+update email_templates
+set description = 'Sent to donors after a donation succeeds. Variables: donorName, amount, purpose, category, date. '
+  || 'A template named donation-thank-you-<category> (e.g. donation-thank-you-education) is used instead for that category.'
+where id = 'donation-thank-you';
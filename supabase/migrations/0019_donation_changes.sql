@@ -0,0 +1,92 @@
+-- Corrections to donation records made through the API, see
+-- functions/_lib/donation-changes.js. Deleted donations are kept, with
+-- deleted_at set, and left out of donation lists and totals.
+alter table donations
+  add column if not exists deleted_at timestamptz;
+
+create index if not exists donations_deleted_at_idx on donations (deleted_at) where deleted_at is not null;
+
+create table if not exists donation_changes (
+  id bigint generated always as identity primary key,
+  donation_id bigint not null references donations (id),
+  action text not null check (action in ('update', 'delete')),
+  reason text not null,
+  -- The whole donation row before and after the change
+  before jsonb not null,
+  after jsonb not null,
+  changed_by uuid references admin_users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists donation_changes_donation_id_idx on donation_changes (donation_id, created_at);
+
+alter table donation_changes enable row level security;
+
+-- Applies the given fields and records the change in one transaction, so
+-- there is never an edit without its history. Returns null if the donation
+-- doesn't exist or has been deleted.
+create or replace function edit_donation(p_donation_id bigint, p_changes jsonb, p_reason text, p_changed_by uuid)
+returns donations
+language plpgsql
+as $$
+declare
+  v_before donations;
+  v_after donations;
+begin
+  select * into v_before from donations where id = p_donation_id and deleted_at is null for update;
+
+  if v_before.id is null then
+    return null;
+  end if;
+
+  update donations
+  set
+    donor = case when p_changes ? 'donor' then p_changes ->> 'donor' else donor end,
+    donor_email = case when p_changes ? 'donor_email' then p_changes ->> 'donor_email' else donor_email end,
+    purpose = case when p_changes ? 'purpose' then p_changes ->> 'purpose' else purpose end,
+    category = case when p_changes ? 'category' then p_changes ->> 'category' else category end,
+    campaign = case when p_changes ? 'campaign' then p_changes ->> 'campaign' else campaign end,
+    date = case when p_changes ? 'date' then (p_changes ->> 'date')::timestamptz else date end,
+    updated_at = now()
+  where id = p_donation_id
+  returning * into v_after;
+
+  insert into donation_changes (donation_id, action, reason, before, after, changed_by)
+  values (p_donation_id, 'update', p_reason, to_jsonb(v_before), to_jsonb(v_after), p_changed_by);
+
+  return v_after;
+end;
+$$;
+
+-- Soft-deletes a donation and records why, in one transaction. Returns null if
+-- the donation doesn't exist or has already been deleted.
+create or replace function delete_donation(p_donation_id bigint, p_reason text, p_changed_by uuid)
+returns donations
+language plpgsql
+as $$
+declare
+  v_before donations;
+  v_after donations;
+begin
+  select * into v_before from donations where id = p_donation_id and deleted_at is null for update;
+
+  if v_before.id is null then
+    return null;
+  end if;
+
+  update donations
+  set deleted_at = now(), updated_at = now()
+  where id = p_donation_id
+  returning * into v_after;
+
+  insert into donation_changes (donation_id, action, reason, before, after, changed_by)
+  values (p_donation_id, 'delete', p_reason, to_jsonb(v_before), to_jsonb(v_after), p_changed_by);
+
+  return v_after;
+end;
+$$;
+
+revoke execute on function edit_donation(bigint, jsonb, text, uuid) from public, anon, authenticated;
+revoke execute on function delete_donation(bigint, text, uuid) from public, anon, authenticated;
+grant execute on function edit_donation(bigint, jsonb, text, uuid) to service_role;
+grant execute on function delete_donation(bigint, text, uuid) to service_role;
@@ -0,0 +1,8 @@
+-- Set once a campaign's recipients have all been added, see startCampaign in
+-- functions/_lib/newsletter.js. Until then nothing is sent, so the campaign
+-- can't be marked sent while its recipient list is still being written.
+alter table newsletter_campaigns
+  add column if not exists recipients_ready boolean not null default false;
+
+-- Campaigns started before this migration finished adding their recipients
+update newsletter_campaigns set recipients_ready = true where status in ('sending', 'sent');
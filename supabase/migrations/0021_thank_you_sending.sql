@@ -0,0 +1,8 @@
+-- Thank-yous are marked `sending` just before they go to Resend. One left in
+-- that state means a run stopped before recording the outcome, so the email
+-- may have gone out; it is marked failed for someone to check rather than
+-- being sent again.
+alter table donation_thank_yous drop constraint if exists donation_thank_yous_status_check;
+alter table donation_thank_yous
+  add constraint donation_thank_yous_status_check
+    check (status in ('pending', 'sending', 'sent', 'failed', 'skipped'));
@@ -0,0 +1,8 @@
+-- Recipients are marked `sending` just before their batch goes to Resend. One
+-- left in that state means a request stopped before recording the outcome, so
+-- the email may have gone out; the next request marks it failed for review
+-- instead of sending it again.
+alter table newsletter_recipients drop constraint if exists newsletter_recipients_status_check;
+alter table newsletter_recipients
+  add constraint newsletter_recipients_status_check
+    check (status in ('pending', 'sending', 'sent', 'failed', 'suppressed'));
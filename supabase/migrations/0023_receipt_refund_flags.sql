@@ -0,0 +1,11 @@
+-- Refunds reported by Yoco can't be refused, so a refund of a donation that is
+-- on an issued receipt flags the receipt instead: it now overstates what the
+-- donor gave and should be voided and reissued. See flagRefundedReceipt in
+-- functions/_lib/receipts.js.
+alter table donation_receipts
+  add column if not exists refund_flagged_at timestamptz;
+
+alter table donation_receipt_events drop constraint if exists donation_receipt_events_type_check;
+alter table donation_receipt_events
+  add constraint donation_receipt_events_type_check
+    check (type in ('issued', 'emailed', 'regenerated', 'voided', 'refunded'));
@@ -0,0 +1,11 @@
+-- How long the request that started a campaign has to finish adding its
+-- recipients, see startCampaign in functions/_lib/newsletter.js. If it dies
+-- first, a later send call takes the campaign over once this has passed and
+-- finishes the recipient list.
+alter table newsletter_campaigns
+  add column if not exists start_claimed_until timestamptz;
+
+-- Campaigns already stuck part-way through adding recipients can be taken over straight away
+update newsletter_campaigns
+set start_claimed_until = now()
+where status = 'sending' and not recipients_ready;
@@ -0,0 +1,9 @@
+-- A Yoco charge that went through but has no donation row yet, see
+-- chargeSubscription in functions/_lib/recurring.js. Saved with the schedule
+-- change before the donation is inserted, so if the insert fails the next run
+-- records the donation instead of the payment going unrecorded.
+alter table recurring_donations
+  add column if not exists pending_charge_id text,
+  add column if not exists pending_charge_at timestamptz;
+
+create index if not exists recurring_donations_pending_charge_idx on recurring_donations (id) where pending_charge_id is not null;